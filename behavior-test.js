@@ -0,0 +1,1041 @@
+// behavior-test.js - Checks what generated PDFs contain, not only that they are produced
+const EnhancedPDFGenerator = require('./enhanced-pdf-generator');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { Readable } = require('stream');
+
+// Fixed metadata dates make repeated generations byte-identical
+const FIXED_DATE = new Date('2024-01-15T10:00:00Z');
+
+/**
+ * Minimal PDF reader for the checks below: follows the cross-reference
+ * table or stream, failing if an entry does not point at its object, and
+ * reads objects, including those packed into object streams
+ */
+function readPDF(buffer) {
+    const source = buffer.toString('latin1');
+    const startMatch = source.match(/startxref\s+(\d+)\s+%%EOF\s*$/);
+    if (!startMatch) throw new Error('No startxref at the end of the file');
+    const start = Number(startMatch[1]);
+
+    const offsets = new Map();
+    const packed = new Map();
+    let trailer;
+
+    const readStreamAt = (offset) => {
+        const end = source.indexOf('endobj', offset);
+        const body = source.substring(offset, end);
+        const streamStart = body.indexOf('stream\n');
+        if (streamStart === -1) return { dict: body, stream: null };
+
+        const dict = body.substring(0, streamStart);
+        const length = Number(dict.match(/\/Length (\d+)/)[1]);
+        const dataStart = offset + streamStart + 'stream\n'.length;
+        if (!source.startsWith('\nendstream', dataStart + length) && !source.startsWith('endstream', dataStart + length)) {
+            throw new Error(`Stream at ${offset} does not end after its /Length`);
+        }
+        let stream = buffer.subarray(dataStart, dataStart + length);
+        if (/\/FlateDecode/.test(dict) && !/\/Subtype \/Image/.test(dict)) {
+            stream = zlib.inflateSync(stream);
+        }
+        return { dict, stream };
+    };
+
+    if (source.startsWith('xref', start)) {
+        const lines = source.substring(start).split('\n');
+        let index = 1;
+        while (/^\d+ \d+$/.test(lines[index].trim())) {
+            const [first, count] = lines[index].trim().split(' ').map(Number);
+            for (let i = 0; i < count; i++) {
+                const [offset, , type] = lines[index + 1 + i].trim().split(' ');
+                if (type === 'n') offsets.set(first + i, Number(offset));
+            }
+            index += count + 1;
+        }
+        trailer = source.substring(source.indexOf('trailer', start), source.indexOf('startxref', start));
+    } else {
+        const { dict, stream } = readStreamAt(start);
+        const widths = dict.match(/\/W \[(\d+) (\d+) (\d+)\]/).slice(1).map(Number);
+        const size = Number(dict.match(/\/Size (\d+)/)[1]);
+        const index = dict.match(/\/Index \[([\d\s]+)\]/);
+        const ranges = index ? index[1].trim().split(/\s+/).map(Number) : [0, size];
+        const rowWidth = widths[0] + widths[1] + widths[2];
+        let row = 0;
+        for (let r = 0; r < ranges.length; r += 2) {
+            for (let num = ranges[r]; num < ranges[r] + ranges[r + 1]; num++, row++) {
+                const at = row * rowWidth;
+                const type = widths[0] ? stream.readUIntBE(at, widths[0]) : 1;
+                const field2 = stream.readUIntBE(at + widths[0], widths[1]);
+                const field3 = widths[2] ? stream.readUIntBE(at + widths[0] + widths[1], widths[2]) : 0;
+                if (type === 1) offsets.set(num, field2);
+                if (type === 2) packed.set(num, { container: field2, index: field3 });
+            }
+        }
+        trailer = dict;
+    }
+
+    for (const [num, offset] of offsets) {
+        if (!source.startsWith(`${num} 0 obj`, offset)) {
+            throw new Error(`xref entry for object ${num} points at offset ${offset}, which is not its start`);
+        }
+    }
+
+    const containers = new Map();
+    const getObject = (num) => {
+        if (offsets.has(num)) {
+            const { dict, stream } = readStreamAt(offsets.get(num));
+            return { dict: dict.replace(/^\d+ 0 obj\s*/, ''), stream };
+        }
+        if (!packed.has(num)) throw new Error(`Object ${num} is not in the cross-reference`);
+
+        const { container, index } = packed.get(num);
+        if (!containers.has(container)) {
+            const { dict, stream } = readStreamAt(offsets.get(container));
+            const first = Number(dict.match(/\/First (\d+)/)[1]);
+            const pairs = stream.toString('latin1', 0, first).trim().split(/\s+/).map(Number);
+            containers.set(container, { first, pairs, text: stream.toString('latin1') });
+        }
+        const { first, pairs, text } = containers.get(container);
+        if (pairs[index * 2] !== num) {
+            throw new Error(`Object stream ${container} does not hold object ${num} at index ${index}`);
+        }
+        const from = first + pairs[index * 2 + 1];
+        const to = index * 2 + 3 < pairs.length ? first + pairs[index * 2 + 3] : text.length;
+        return { dict: text.substring(from, to), stream: null };
+    };
+
+    const ref = (dict, key) => {
+        const match = dict.match(new RegExp(`/${key} (\\d+) 0 R`));
+        return match ? Number(match[1]) : null;
+    };
+
+    const catalog = getObject(ref(trailer, 'Root')).dict;
+
+    // Page object numbers in document order
+    const pages = [];
+    const walkPages = (num) => {
+        const { dict } = getObject(num);
+        if (/\/Type \/Pages/.test(dict)) {
+            const kids = dict.match(/\/Kids \[([^\]]*)\]/)[1];
+            for (const match of kids.matchAll(/(\d+) 0 R/g)) walkPages(Number(match[1]));
+        } else {
+            pages.push(num);
+        }
+    };
+    walkPages(ref(catalog, 'Pages'));
+
+    return { source, offsets, packed, catalog, pages, getObject, ref };
+}
+
+/**
+ * Decode a PDF literal string written with the standard fonts
+ */
+function decodeString(text) {
+    return text.replace(/\\([0-7]{1,3}|[\s\S])/g, (match, escape) => {
+        if (!/^[0-7]/.test(escape)) return escape;
+        const code = parseInt(escape, 8);
+        return code === 0x80 ? '€' : String.fromCharCode(code);
+    });
+}
+
+/**
+ * The content streams of a page, joined
+ */
+function pageContent(pdf, num) {
+    const page = pdf.getObject(num).dict;
+    const contents = page.match(/\/Contents (?:\[([^\]]*)\]|(\d+ 0 R))/);
+    const refs = [...(contents[1] || contents[2]).matchAll(/(\d+) 0 R/g)].map(match => Number(match[1]));
+    return refs.map(ref => pdf.getObject(ref).stream.toString('latin1')).join('\n');
+}
+
+/**
+ * The strings drawn on each page, in content stream order
+ */
+function pageStrings(pdf) {
+    return pdf.pages.map(num =>
+        [...pageContent(pdf, num).matchAll(/\(((?:\\[\s\S]|[^\\)])*)\) Tj/g)].map(match => decodeString(match[1])));
+}
+
+/**
+ * What each page draws, in page coordinates: text as
+ * `{ text, font, size, x, y, color }`, rectangles as
+ * `{ x, y, width, height, fill, stroke }` and images as
+ * `{ name, x, y, width, height }`. Text in embedded fonts is kept as hex.
+ */
+function readContent(pdf) {
+    const toHex = (values) => '#' + values.map(value => Math.round(Number(value) * 255).toString(16).padStart(2, '0')).join('');
+    const decode = (operand) => (operand.startsWith('(') ? decodeString(operand.slice(1, -1)) : operand);
+    const round = (value) => Math.round(value * 100) / 100;
+
+    return pdf.pages.map((num) => {
+        const page = { text: [], rects: [], images: [] };
+        const saved = [];
+        let state = { fill: '#000000', stroke: '#000000', matrix: [1, 0, 0, 1, 0, 0] };
+        let x = 0, y = 0, font = null, size = 0, rect = null;
+
+        // Only scaling and translation are used, so b and c stay 0
+        const place = (px, py) => {
+            const [a, , , d, e, f] = state.matrix;
+            return { x: round(a * px + e), y: round(d * py + f) };
+        };
+
+        for (const line of pageContent(pdf, num).split('\n')) {
+            const operands = line.trim().split(/\s+/);
+            const operator = operands.pop();
+            switch (operator) {
+                case 'q': saved.push({ ...state }); break;
+                case 'Q': state = saved.pop(); break;
+                case 'BT': x = 0; y = 0; break;
+                case 'Td': x += Number(operands[0]); y += Number(operands[1]); break;
+                case 'Tf': font = operands[0].substring(1); size = Number(operands[1]); break;
+                case 'rg': state.fill = toHex(operands); break;
+                case 'RG': state.stroke = toHex(operands); break;
+                case 're': rect = operands.map(Number); break;
+                case 'cm': {
+                    const [a, , , d, e, f] = operands.map(Number);
+                    const [ca, , , cd, ce, cf] = state.matrix;
+                    state.matrix = [a * ca, 0, 0, d * cd, e * ca + ce, f * cd + cf];
+                    break;
+                }
+                case 'Do': {
+                    const [a, , , d] = state.matrix;
+                    page.images.push({ name: operands[0].substring(1), ...place(0, 0), width: round(a), height: round(d) });
+                    break;
+                }
+                case 'f':
+                case 'S':
+                    if (rect) {
+                        const [a, , , d] = state.matrix;
+                        page.rects.push({
+                            ...place(rect[0], rect[1]), width: round(a * rect[2]), height: round(d * rect[3]),
+                            fill: operator === 'f' ? state.fill : null, stroke: operator === 'S' ? state.stroke : null
+                        });
+                        rect = null;
+                    }
+                    break;
+                case 'Tj': {
+                    const operand = line.trim().slice(0, -3);
+                    page.text.push({ text: decode(operand), font, size, ...place(x, y), color: state.fill });
+                    break;
+                }
+                case 'TJ': {
+                    const parts = [...line.matchAll(/\(((?:\\[\s\S]|[^\\)])*)\)|<[0-9a-fA-F]*>/g)];
+                    const text = parts.map(part => (part[1] !== undefined ? decodeString(part[1]) : part[0])).join('');
+                    page.text.push({ text, font, size, ...place(x, y), color: state.fill });
+                    break;
+                }
+            }
+        }
+        return page;
+    });
+}
+
+/**
+ * The document outline as a tree of `{ title, page, count, children }`
+ */
+function readOutline(pdf) {
+    const root = pdf.ref(pdf.catalog, 'Outlines');
+    if (root === null) return null;
+
+    const readItems = (first) => {
+        const items = [];
+        for (let num = first; num !== null;) {
+            const { dict } = pdf.getObject(num);
+            const dest = dict.match(/\/Dest \[(\d+) 0 R/);
+            const count = dict.match(/\/Count (-?\d+)/);
+            const child = pdf.ref(dict, 'First');
+            items.push({
+                title: decodeString(dict.match(/\/Title \(((?:\\[\s\S]|[^\\)])*)\)/)[1]),
+                page: dest ? pdf.pages.indexOf(Number(dest[1])) + 1 : null,
+                count: count ? Number(count[1]) : 0,
+                children: child !== null ? readItems(child) : []
+            });
+            num = pdf.ref(dict, 'Next');
+        }
+        return items;
+    };
+    return readItems(pdf.ref(pdf.getObject(root).dict, 'First'));
+}
+
+/**
+ * Named destinations by name, as 1-based page numbers
+ */
+function readDestinations(pdf) {
+    const destinations = {};
+    const names = pdf.catalog.match(/\/Dests (\d+) 0 R/);
+    const walk = (num) => {
+        const { dict } = pdf.getObject(num);
+        for (const match of dict.matchAll(/\(((?:\\[\s\S]|[^\\)])*)\)\s*\[(\d+) 0 R/g)) {
+            destinations[decodeString(match[1])] = pdf.pages.indexOf(Number(match[2])) + 1;
+        }
+        const kids = dict.match(/\/Kids \[([^\]]*)\]/);
+        if (kids) {
+            for (const kid of kids[1].matchAll(/(\d+) 0 R/g)) walk(Number(kid[1]));
+        }
+    };
+    if (names) walk(Number(names[1]));
+    return destinations;
+}
+
+/**
+ * Link annotations as `{ page, rect, uri, dest }`
+ */
+function readLinks(pdf) {
+    const links = [];
+    pdf.pages.forEach((num, index) => {
+        const annots = pdf.getObject(num).dict.match(/\/Annots \[([^\]]*)\]/);
+        if (!annots) return;
+        for (const match of annots[1].matchAll(/(\d+) 0 R/g)) {
+            const { dict } = pdf.getObject(Number(match[1]));
+            if (!/\/Subtype \/Link/.test(dict)) continue;
+            const uri = dict.match(/\/URI \(((?:\\[\s\S]|[^\\)])*)\)/);
+            const dest = dict.match(/\/S \/GoTo \/D \(((?:\\[\s\S]|[^\\)])*)\)/);
+            links.push({
+                page: index + 1,
+                rect: dict.match(/\/Rect \[([^\]]*)\]/)[1].trim().split(/\s+/).map(Number),
+                uri: uri ? decodeString(uri[1]) : null,
+                dest: dest ? decodeString(dest[1]) : null
+            });
+        }
+    });
+    return links;
+}
+
+async function collect(stream) {
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    return Buffer.concat(chunks);
+}
+
+function assert(condition, message) {
+    if (!condition) throw new Error(message);
+}
+
+function assertEqual(actual, expected, message) {
+    if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+        throw new Error(`${message}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    }
+}
+
+/**
+ * A PNG of the given size, filled with one RGBA color
+ */
+function pngImage(width, height, [r, g, b, a]) {
+    const crcTable = Array.from({ length: 256 }, (_, n) => {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        return c >>> 0;
+    });
+    const chunk = (type, data) => {
+        const body = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+        let crc = 0xFFFFFFFF;
+        for (const byte of body) crc = crcTable[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+        const framed = Buffer.alloc(body.length + 8);
+        framed.writeUInt32BE(data.length, 0);
+        body.copy(framed, 4);
+        framed.writeUInt32BE((crc ^ 0xFFFFFFFF) >>> 0, body.length + 4);
+        return framed;
+    };
+
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8;
+    header[9] = 6;
+    const row = Buffer.concat([Buffer.from([0]), Buffer.from(Array(width).fill([r, g, b, a]).flat())]);
+    return Buffer.concat([
+        Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]),
+        chunk('IHDR', header),
+        chunk('IDAT', zlib.deflateSync(Buffer.concat(Array(height).fill(row)))),
+        chunk('IEND', Buffer.alloc(0))
+    ]);
+}
+
+// The start of a 32x16 RGB JPEG, up to its frame header, which is all the generator reads
+const JPEG_IMAGE = Buffer.from('ffd8ffe000104a46494600010100000100010000ffc0001108001000200301220002110103110100ffd9', 'hex');
+
+/**
+ * A TrueType font with an empty glyph for each of the given characters,
+ * each 600 units wide. Glyph ids follow the order of the characters.
+ */
+function testFont(characters) {
+    const chars = [...characters];
+    const numGlyphs = chars.length + 1;
+    const table = (size, write) => {
+        const data = Buffer.alloc(size);
+        write(data);
+        return data;
+    };
+
+    const name = Buffer.from('TestSans', 'latin1');
+    const cmapGroups = chars.map((char, i) => [char.codePointAt(0), i + 1]).sort((a, b) => a[0] - b[0]);
+    const tables = {
+        cmap: table(12 + 16 + cmapGroups.length * 12, (data) => {
+            data.writeUInt16BE(1, 2);
+            data.writeUInt16BE(3, 4);
+            data.writeUInt16BE(10, 6);
+            data.writeUInt32BE(12, 8);
+            data.writeUInt16BE(12, 12);
+            data.writeUInt32BE(16 + cmapGroups.length * 12, 16);
+            data.writeUInt32BE(cmapGroups.length, 24);
+            cmapGroups.forEach(([code, glyph], i) => {
+                data.writeUInt32BE(code, 28 + i * 12);
+                data.writeUInt32BE(code, 32 + i * 12);
+                data.writeUInt32BE(glyph, 36 + i * 12);
+            });
+        }),
+        glyf: Buffer.alloc(0),
+        head: table(54, (data) => {
+            data.writeUInt32BE(0x00010000, 0);
+            data.writeUInt32BE(0x5F0F3CF5, 12);
+            data.writeUInt16BE(1000, 18);
+            data.writeInt16BE(800, 42);
+        }),
+        hhea: table(36, (data) => {
+            data.writeUInt32BE(0x00010000, 0);
+            data.writeInt16BE(800, 4);
+            data.writeInt16BE(-200, 6);
+            data.writeUInt16BE(numGlyphs, 34);
+        }),
+        hmtx: table(numGlyphs * 4, (data) => {
+            for (let i = 0; i < numGlyphs; i++) data.writeUInt16BE(600, i * 4);
+        }),
+        loca: Buffer.alloc(numGlyphs * 2 + 2),
+        maxp: table(6, (data) => {
+            data.writeUInt32BE(0x00005000, 0);
+            data.writeUInt16BE(numGlyphs, 4);
+        }),
+        name: table(18 + name.length, (data) => {
+            data.writeUInt16BE(1, 2);
+            data.writeUInt16BE(18, 4);
+            data.writeUInt16BE(1, 6);
+            data.writeUInt16BE(6, 12);
+            data.writeUInt16BE(name.length, 14);
+            name.copy(data, 18);
+        })
+    };
+
+    const tags = Object.keys(tables);
+    const directory = Buffer.alloc(12 + tags.length * 16);
+    directory.writeUInt32BE(0x00010000, 0);
+    directory.writeUInt16BE(tags.length, 4);
+    const chunks = [directory];
+    let offset = directory.length;
+    tags.forEach((tag, i) => {
+        const data = tables[tag];
+        directory.write(tag, 12 + i * 16, 'latin1');
+        directory.writeUInt32BE(offset, 20 + i * 16);
+        directory.writeUInt32BE(data.length, 24 + i * 16);
+        const padded = Buffer.alloc((data.length + 3) & ~3);
+        data.copy(padded);
+        chunks.push(padded);
+        offset += padded.length;
+    });
+    return Buffer.concat(chunks);
+}
+
+// A document long enough to span several pages, with headings to list and link to
+const sectionsHtml = (count) => Array(count).fill(null).map((_, i) => `
+    <h1 id="section-${i + 1}">Section ${i + 1}</h1>
+    <p>Introduction to section ${i + 1}. ${'Account activity and balances are summarised here. '.repeat(8)}</p>
+    <h2>Details ${i + 1}</h2>
+    <table border="1">
+        <tr><th>Reference</th><th>Amount</th></tr>
+        ${Array(6).fill(null).map((_, row) => `<tr><td>REF-${i}-${row}</td><td class="amount">${(i + 1) * 1000 + row}</td></tr>`).join('')}
+    </table>
+    <p>Back to the <a href="#section-1">first section</a>.</p>`).join('');
+
+const checks = {
+    async 'Tables'() {
+        const generator = new EnhancedPDFGenerator();
+        const rows = Array(40).fill(null).map((_, i) => `<tr><td>Item ${i + 1}</td><td>${i + 1}</td></tr>`).join('');
+        const pdf = readPDF(await generator.generatePDFFromHTML(`
+            <table border="1">
+                <tr><th>Name</th><th>Value</th></tr>
+                <tr><td colspan="2">Opening balance</td></tr>
+                <tr><td style="background-color: #eeeeee">Shaded</td><td>0</td></tr>
+                ${rows}
+            </table>`, { compress: false }));
+        const pages = readContent(pdf);
+        assert(pages.length > 1, 'expected the table to span several pages');
+
+        // The bold header row starts every page, and columns line up under it
+        const items = [];
+        for (const [index, page] of pages.entries()) {
+            const [name, value] = page.text;
+            assertEqual(`${name.text}|${value.text}|${name.font}`, 'Name|Value|F2', `header row on page ${index + 1}`);
+            for (const item of page.text.slice(2)) {
+                const column = item.text.startsWith('Item') || item.text === 'Opening balance' || item.text === 'Shaded' ? name : value;
+                assertEqual(item.x, column.x, `column of "${item.text}"`);
+                items.push(item.text);
+            }
+        }
+        const expected = ['Opening balance', 'Shaded', '0'];
+        for (let i = 1; i <= 40; i++) expected.push(`Item ${i}`, String(i));
+        assertEqual(items.join(','), expected.join(','), 'cells in order, each once');
+
+        // The spanning cell is as wide as both columns; cell backgrounds are filled
+        const borders = pages[0].rects.filter(rect => rect.stroke);
+        const [first, second] = borders;
+        const spanning = borders.find(rect => rect.y < first.y);
+        assert(spanning.x === first.x && spanning.x + spanning.width === second.x + second.width, 'colspan cell spans both columns');
+        assert(pages[0].rects.some(rect => rect.fill === '#eeeeee'), 'cell background drawn');
+
+        // A row taller than a page continues on the next one
+        const tall = readContent(readPDF(await generator.generatePDFFromHTML(
+            `<table border="1"><tr><th>Notes</th></tr><tr><td>${'A long remark that keeps going. '.repeat(400)}</td></tr></table>`,
+            { compress: false })));
+        assert(tall.length > 1 && tall.every(page => page.text[0].text === 'Notes'), 'tall row split under repeated headers');
+        assertEqual(generator.getStatistics().elementsDropped.overflow, 0, 'nothing dropped');
+        return `${pages.length} pages with repeated headers, spans, backgrounds and split rows`;
+    },
+
+    async 'Lists'() {
+        const generator = new EnhancedPDFGenerator();
+        const [page] = readContent(readPDF(await generator.generatePDFFromHTML(`
+            <ol start="3" style="list-style-type: lower-roman">
+                <li>First</li>
+                <li>${'Second item that is long enough to wrap onto another line. '.repeat(3)}</li>
+            </ol>
+            <ul><li>Outer<ul><li>Inner</li></ul></li></ul>
+            <ol type="A"><li>Lettered</li></ol>`, { compress: false })));
+        const find = (text) => page.text.find(item => item.text.startsWith(text));
+
+        assertEqual(page.text.filter(item => /^[ivxA]+\.$/.test(item.text)).map(item => item.text).join(','), 'iii.,iv.,A.', 'markers');
+        const first = find('First');
+        assert(find('iii.').x < first.x, 'marker before the item text');
+
+        // Wrapped lines hang under the item text, not under the marker
+        const second = page.text.filter(item => item.y < first.y && item.y > find('Outer').y && !item.text.endsWith('.'));
+        assert(second.length > 1 && second.every(line => line.x === first.x), 'hanging indent for wrapped lines');
+        assert(find('Inner').x > find('Outer').x, 'nested list indented further');
+        return 'markers, start values, hanging indents and nesting';
+    },
+
+    async 'Images'() {
+        const generator = new EnhancedPDFGenerator();
+        const png = pngImage(4, 2, [255, 0, 0, 128]);
+        const dataUri = (type, data) => `data:image/${type};base64,${data.toString('base64')}`;
+
+        const pdf = readPDF(await generator.generatePDFFromHTML(`
+            <img src="${dataUri('png', png)}" width="100">
+            <img src="${dataUri('jpeg', JPEG_IMAGE)}" style="height: 40px">
+            <table border="1"><tr><td>Logo</td><td><img src="${dataUri('png', png)}" width="60"></td></tr></table>`, { compress: false }));
+        const [page] = readContent(pdf);
+        const resources = pdf.getObject(pdf.ref(pdf.getObject(pdf.pages[0]).dict, 'Resources')).dict;
+        const image = (name) => pdf.getObject(pdf.ref(resources, name)).dict;
+
+        // Sizes keep the aspect ratio; PNG alpha becomes a soft mask, JPEG data is passed through
+        const [logo, photo, cell] = page.images;
+        assertEqual(`${logo.width}x${logo.height}`, '100x50', 'PNG size from the width attribute');
+        assertEqual(`${photo.width}x${photo.height}`, '80x40', 'JPEG size from CSS height');
+        assert(/\/SMask \d+ 0 R/.test(image(logo.name)) && /\/FlateDecode/.test(image(logo.name)), 'PNG with an SMask');
+        assert(/\/DCTDecode/.test(image(photo.name)) && /\/Width 32/.test(image(photo.name)), 'JPEG embedded with DCTDecode');
+        assertEqual(`${cell.width}x${cell.height}`, '60x30', 'image in a table cell');
+        assert(cell.x > page.text.find(item => item.text === 'Logo').x, 'cell image in its column');
+
+        // File paths resolve against baseDir and cannot leave it
+        const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'behavior-test-'));
+        try {
+            await fs.mkdir(path.join(dir, 'assets'));
+            await fs.writeFile(path.join(dir, 'assets', 'logo.png'), png);
+            await fs.writeFile(path.join(dir, 'outside.png'), png);
+            const baseDir = path.join(dir, 'assets');
+            const count = async (html, options = {}) =>
+                readContent(readPDF(await generator.generatePDFFromHTML(html, { compress: false, baseDir, ...options })))[0].images.length;
+
+            assertEqual(await count('<img src="logo.png">'), 1, 'relative path inside baseDir');
+            const dropped = generator.getStatistics().elementsDropped.invalid;
+            assertEqual(await count('<img src="../outside.png"><p>After</p>'), 0, 'path outside baseDir refused');
+            assertEqual(generator.getStatistics().elementsDropped.invalid, dropped + 1, 'refused image counted');
+            assertEqual(await count('<img src="../outside.png">', { allowExternalFiles: true }), 1, 'allowExternalFiles');
+        } finally {
+            await fs.rm(dir, { recursive: true, force: true });
+        }
+        return 'PNG with alpha, JPEG, sizing, table cells and baseDir confinement';
+    },
+
+    async 'Embedded fonts'() {
+        const generator = new EnhancedPDFGenerator();
+        generator.registerFont('TestSans', testFont(' Aaबक'));
+        const pdf = readPDF(await generator.generatePDFFromHTML(
+            '<p style="font-family: TestSans, sans-serif">A बक €</p>', { compress: false }));
+        const [page] = readContent(pdf);
+        const resources = pdf.getObject(pdf.ref(pdf.getObject(pdf.pages[0]).dict, 'Resources')).dict;
+        const [embedded, fallback] = page.text;
+        const font = pdf.getObject(pdf.ref(resources, embedded.font)).dict;
+        assert(/\/Subtype \/Type0/.test(font) && /\/Encoding \/Identity-H/.test(font), 'Type0 font with Identity-H encoding');
+
+        // The ToUnicode map turns the glyph ids back into the text
+        const cmap = pdf.getObject(pdf.ref(font, 'ToUnicode')).stream.toString('latin1');
+        const unicode = new Map([...cmap.matchAll(/<([0-9A-F]{4})> <([0-9A-F]+)>/g)]
+            .map(([, glyph, code]) => [glyph.toLowerCase(), String.fromCodePoint(parseInt(code, 16))]));
+        const text = embedded.text.slice(1, -1).match(/.{4}/g).map(glyph => unicode.get(glyph)).join('');
+        assertEqual(text, 'A बक ', 'text read back through ToUnicode');
+
+        // Only the glyphs in use are embedded: not the unused "a" (glyph 3)
+        const cidFont = pdf.getObject(Number(font.match(/\/DescendantFonts \[(\d+) 0 R\]/)[1])).dict;
+        const widths = [...cidFont.match(/\/W \[(.*)\]/)[1].matchAll(/(\d+) \[/g)].map(match => Number(match[1]));
+        assertEqual(widths.join(','), '1,2,4,5', 'subset glyphs');
+
+        // A character the font lacks falls back to the standard font
+        assertEqual(`${fallback.text}|${fallback.font}`, '€|F1', 'missing glyph drawn with Helvetica');
+        assertEqual(generator.getStatistics().fontFallbacks, 1, 'fallback counted');
+
+        // Fonts registered while a document is generated are used from the next one
+        const html = '<p style="font-family: TestSans">A <b>A</b> <span style="font-family: LateSans">late</span></p>';
+        const pending = generator.generatePDFFromHTML(html, { compress: false });
+        generator.registerFont('TestSans', testFont(' A'), { bold: true });
+        generator.registerFont('LateSans', testFont('aelt'));
+        const fontsUsed = async (promise) => new Set(readContent(readPDF(await promise))[0].text.map(item => item.font));
+        assertEqual([...await fontsUsed(pending)].join(','), 'F5,F1', 'fonts while registering');
+        assertEqual([...await fontsUsed(generator.generatePDFFromHTML(html, { compress: false }))].join(','), 'F5,F6,F7', 'fonts afterwards');
+
+        // Documents generated at the same time embed only their own glyphs
+        const subsets = await Promise.all(['A', 'बक'].map(async (sample) => {
+            const doc = readPDF(await generator.generatePDFFromHTML(`<p style="font-family: TestSans">${sample}</p>`, { compress: false }));
+            return doc.source.match(/\/W \[(.*)\]/)[1];
+        }));
+        assertEqual(subsets.join(' | '), '2 [600] | 4 [600] 5 [600]', 'glyphs kept per document');
+        return 'CID font with ToUnicode, subsetting, fallbacks and late registration';
+    },
+
+    async 'Stylesheet cascade'() {
+        const generator = new EnhancedPDFGenerator();
+        const text = async (gen, html, options = {}) =>
+            readContent(readPDF(await gen.generatePDFFromHTML(html, { compress: false, ...options })))[0].text
+                .map(item => `${item.text}:${item.color}:${item.size}`).join(' ');
+
+        assertEqual(await text(generator, `
+            <style>
+                p { color: #00aa00; }
+                .note { color: #ff0000; }
+                #main p { font-size: 20px; }
+                div.box span { color: #0000ff; }
+            </style>
+            <div id="main"><p>Tag</p><p class="note">Class</p></div>
+            <p class="note" style="color: #123456">Inline</p>
+            <div class="box" style="color: #884400; font-size: 10px">Inherited <span>Descendant</span></div>`),
+        'Tag:#00aa00:17 Class:#ff0000:17 Inline:#123456:14 Inherited :#884400:9 Descendant:#0000ff:9', 'cascade');
+        assertEqual(await text(generator, '<p>Option</p>', { css: 'p { color: #aa00aa; }' }), 'Option:#aa00aa:14', 'css option');
+
+        // With CSS disabled only inline styles apply, inherited from ancestors
+        const plain = new EnhancedPDFGenerator({ enableCSS: false });
+        assertEqual(await text(plain, '<style>p { color: #ff0000; }</style><div style="color: #00aa00"><p>Inline</p></div><p>Plain</p>'),
+            'Inline:#00aa00:14 Plain:#2e2e2e:14', 'enableCSS: false');
+        return 'selectors, specificity, inheritance and enableCSS';
+    },
+
+    async 'CSS units and colors'() {
+        const generator = new EnhancedPDFGenerator();
+        const [page] = readContent(readPDF(await generator.generatePDFFromHTML(`
+            <p style="font-size: 20px">Px</p>
+            <p style="font-size: 15pt">Pt</p>
+            <p style="font-size: 1.25rem">Rem</p>
+            <div style="font-size: 10px"><p style="font-size: 2em">Em</p><p style="font-size: 200%">Percent</p></div>
+            <p style="padding-left: 1in">Inch</p>
+            <p style="padding-left: 25.4mm">Millimetre</p>
+            <p style="padding-left: 10%">Width</p>
+            <p style="color: rgb(255, 0, 0)">Rgb</p>
+            <p style="color: rgba(0, 0, 255, 0.5)">Rgba</p>
+            <p style="color: hsl(120, 100%, 25%)">Hsl</p>
+            <p style="color: rebeccapurple">Named</p>`, { compress: false })));
+        const find = (text) => page.text.find(item => item.text === text);
+
+        // Body text is drawn at 85% of its CSS size
+        assertEqual(['Px', 'Pt', 'Rem', 'Em', 'Percent'].map(text => find(text).size).join(','), '17,17,17,17,17', 'font sizes');
+        assertEqual(['Inch', 'Millimetre', 'Width'].map(text => find(text).x).join(','), '168,168,118.8', 'lengths');
+        assertEqual(['Rgb', 'Rgba', 'Hsl', 'Named'].map(text => find(text).color).join(','), '#ff0000,#8080ff,#008000,#663399', 'colors');
+        return 'px, pt, rem, em, %, in, mm and rgb(), rgba(), hsl(), named colors';
+    },
+
+    async 'Text alignment'() {
+        const generator = new EnhancedPDFGenerator();
+        const pdf = readPDF(await generator.generatePDFFromHTML(`
+            <p style="text-align: right">Amount</p>
+            <p style="text-align: center">Amount</p>
+            <h2 align="center">Heading</h2>
+            <h2 style="text-align: center">Heading</h2>
+            <p style="text-align: justify">${'Justified words spread across the whole line. '.repeat(5)}</p>`, { compress: false }));
+        const [page] = readContent(pdf);
+        const [right, center, legacy, css] = page.text;
+
+        // The right-aligned copy ends at the margin, so its width gives the centered position
+        const width = 540 - right.x;
+        assertEqual(center.x, Math.round((72 + (468 - width) / 2) * 100) / 100, 'centered text');
+        assert(legacy.x > 72 && legacy.x === css.x, 'align attribute works like text-align');
+
+        // Justified lines get word spacing, except the last one
+        const content = pageContent(pdf, pdf.pages[0]);
+        const spacing = [...content.matchAll(/^([\d.]+) Tw$/gm)].map(match => Number(match[1]));
+        const lines = page.text.slice(4);
+        assert(spacing.filter(value => value > 0).length === lines.length - 1, `expected word spacing on ${lines.length - 1} lines`);
+        return 'left, right, center, the align attribute and justify';
+    },
+
+    async 'Block boxes'() {
+        const generator = new EnhancedPDFGenerator();
+        const [page] = readContent(readPDF(await generator.generatePDFFromHTML(`
+            <div style="padding: 12px; border: 2px solid #0000ff; background-color: #ffeecc">
+                <h2>Summary</h2>
+                <p>${'Balance details that wrap inside the box. '.repeat(4)}</p>
+            </div>`, { compress: false })));
+        const [background, ...borders] = page.rects;
+        assertEqual(background.fill, '#ffeecc', 'background color');
+        assertEqual(borders.length, 4, 'one border per side');
+        assert(borders.every(rect => rect.fill === '#0000ff' && Math.min(rect.width, rect.height) === 2), 'border width and color');
+
+        // Text sits inside the border and padding, and the box grows with wrapped lines
+        const inside = page.text.every(item => item.x === background.x + 2 + 12 &&
+            item.y > background.y + 2 + 12 && item.y + item.size < background.y + background.height);
+        assert(inside, 'text inside the padded box');
+        assert(page.text.length > 2, 'expected the paragraph to wrap');
+
+        // A box that does not fit on a page continues on the next one
+        const split = readContent(readPDF(await generator.generatePDFFromHTML(
+            `<div style="background-color: #ffeecc">${'<p>Statement line</p>'.repeat(60)}</div>`, { compress: false })));
+        assert(split.length > 1 && split.every(part => part.rects.some(rect => rect.fill === '#ffeecc')), 'background drawn on every page');
+        return 'padding, borders, backgrounds and boxes split across pages';
+    },
+
+    async 'Headers and footers'() {
+        const generator = new EnhancedPDFGenerator();
+        const pages = readContent(readPDF(await generator.generatePDFFromHTML(
+            `<title>Statement</title>${'<p>Statement line</p>'.repeat(60)}`, {
+                compress: false,
+                header: { first: '<p>Acme Bank</p>', odd: '<p>{{title}}</p>', even: '<p>Even page</p>' },
+                footer: (page, pages) => `<p style="text-align: center">Page ${page} of {{pages}}${page === pages ? ' (end)' : ''}</p>`
+            })));
+        assertEqual(pages.length, 3, 'page count');
+
+        pages.forEach((page, index) => {
+            const header = page.text.find(item => item.y > 720);
+            const footer = page.text.find(item => item.y < 72);
+            assertEqual(header && header.text, ['Acme Bank', 'Even page', 'Statement'][index], `header on page ${index + 1}`);
+            assertEqual(footer && footer.text, `Page ${index + 1} of 3${index === 2 ? ' (end)' : ''}`, `footer on page ${index + 1}`);
+            assert(footer.x > 72, 'footer centered');
+        });
+        return 'first, odd and even variants, callbacks and placeholders';
+    },
+
+    async 'Document metadata'() {
+        const generator = new EnhancedPDFGenerator();
+        const info = async (html, options) => {
+            const pdf = readPDF(await generator.generatePDFFromHTML(html, { compress: false, ...options }));
+            const trailer = pdf.source.substring(pdf.source.lastIndexOf('trailer'));
+            const dict = pdf.getObject(pdf.ref(trailer, 'Info')).dict;
+            const fields = {};
+            for (const [, key, literal, hex] of dict.matchAll(/\/(\w+) (?:\(((?:\\[\s\S]|[^\\)])*)\)|<([0-9A-F]+)>)/g)) {
+                fields[key] = literal !== undefined ? decodeString(literal) : Buffer.from(hex.substring(4), 'hex').swap16().toString('utf16le');
+            }
+            return { fields, pdf };
+        };
+
+        const { fields, pdf } = await info('<title>Résumé of account</title><p>Body</p>', {
+            author: 'Acme Bank',
+            subject: 'Monthly statement',
+            keywords: ['statement', 'October 2026'],
+            creator: 'Statements Service',
+            creationDate: FIXED_DATE,
+            xmp: true
+        });
+        assertEqual(fields.Title, 'Résumé of account', 'title from <title>');
+        assertEqual(`${fields.Author}|${fields.Subject}|${fields.Keywords}|${fields.Creator}`,
+            'Acme Bank|Monthly statement|statement, October 2026|Statements Service', 'fields');
+        assertEqual(`${fields.CreationDate}|${fields.ModDate}`, "D:20240115100000+00'00'|D:20240115100000+00'00'", 'dates');
+
+        const metadata = pdf.getObject(pdf.ref(pdf.catalog, 'Metadata')).stream.toString('utf8');
+        assert(metadata.includes('Résumé of account') && metadata.includes('<xmp:CreateDate>2024-01-15T10:00:00+00:00</xmp:CreateDate>'), 'XMP stream');
+
+        const { fields: titled } = await info('<title>Ignored</title><p>Body</p>', { title: 'Given title' });
+        assertEqual(titled.Title, 'Given title', 'title option wins over <title>');
+        return 'Info dictionary, <title> fallback and XMP metadata';
+    },
+
+    async 'Compression'() {
+        const generator = new EnhancedPDFGenerator();
+        const html = `<h1>Statement</h1>${'<p>Statement line with a few words</p>'.repeat(40)}`;
+        const plainBuffer = await generator.generatePDFFromHTML(html, { creationDate: FIXED_DATE, compress: false });
+        const compressedBuffer = await generator.generatePDFFromHTML(html, { creationDate: FIXED_DATE });
+        const plain = readPDF(plainBuffer);
+        const compressed = readPDF(compressedBuffer);
+
+        // Content streams are deflated by default and inflate to the same content
+        compressed.pages.forEach((num, index) => {
+            const ref = compressed.ref(compressed.getObject(num).dict, 'Contents');
+            assert(/\/Filter \/FlateDecode/.test(compressed.getObject(ref).dict), `page ${index + 1} content deflated`);
+            assertEqual(pageContent(compressed, num), pageContent(plain, plain.pages[index]), `page ${index + 1} content`);
+        });
+        assert(compressedBuffer.length < plainBuffer.length / 2,
+            `expected a smaller file, got ${compressedBuffer.length} vs ${plainBuffer.length} bytes`);
+
+        // Object streams pack the small objects behind a compressed cross-reference stream
+        const packedBuffer = await generator.generatePDFFromHTML(html, { creationDate: FIXED_DATE, objectStreams: true });
+        const packed = readPDF(packedBuffer);
+        assert(packedBuffer.toString('latin1', 0, 8) === '%PDF-1.5' && packed.packed.size > 0, 'objects packed into object streams');
+        assert(packedBuffer.length < compressedBuffer.length, 'object streams make the file smaller');
+        assertEqual(pageStrings(packed).flat().join('|'), pageStrings(plain).flat().join('|'), 'text');
+        return `${plainBuffer.length} bytes plain, ${compressedBuffer.length} deflated, ${packedBuffer.length} with object streams`;
+    },
+
+    async 'Cross-reference offsets'() {
+        const generator = new EnhancedPDFGenerator();
+        const html = `<h1>Statement</h1>${sectionsHtml(6)}`;
+
+        for (const objectStreams of [false, true]) {
+            const options = { creationDate: FIXED_DATE, objectStreams, bookmarks: true };
+            const buffered = await generator.generatePDFFromHTML(html, options);
+            const streamed = await collect(generator.generatePDFStream(html, options));
+
+            for (const [name, pdf] of [['buffered', buffered], ['streamed', streamed]]) {
+                const label = `${name}${objectStreams ? ' with object streams' : ''}`;
+                const parsed = readPDF(pdf);
+                const entries = parsed.offsets.size + parsed.packed.size;
+                assert(parsed.pages.length > 1, `${label}: expected several pages`);
+                assert(objectStreams ? parsed.packed.size > 0 : parsed.packed.size === 0,
+                    `${label}: objects ${objectStreams ? 'not ' : ''}packed into object streams`);
+                const declared = Number((pdf.toString('latin1').match(/\/Size (\d+)/g) || []).pop().split(' ')[1]);
+                assertEqual(entries, declared - 1, `${label}: objects in the cross-reference`);
+                pageStrings(parsed);
+            }
+            assert(buffered.equals(streamed), `streamed output differs from buffered output (objectStreams: ${objectStreams})`);
+        }
+        return '4 layouts checked, streamed output identical to buffered';
+    },
+
+    async 'Failed stream saves'() {
+        const generator = new EnhancedPDFGenerator();
+        const filePath = path.join(os.tmpdir(), `behavior-test-${process.pid}.pdf`);
+
+        // A stream that produces part of a document, then fails
+        const failing = new Readable({
+            read() {
+                this.push(Buffer.from('%PDF-1.4\n'));
+                this.destroy(new Error('source failed'));
+            }
+        });
+        let error = null;
+        try {
+            await generator.savePDF(failing, filePath);
+        } catch (caught) {
+            error = caught;
+        }
+        assertEqual(error && error.message, 'source failed', 'error rethrown');
+        const exists = await fs.access(filePath).then(() => true, () => false);
+        assert(!exists, 'partly written file left behind');
+        return 'error rethrown and partial file removed';
+    },
+
+    async 'Concurrent generation'() {
+        const generator = new EnhancedPDFGenerator();
+        const options = { creationDate: FIXED_DATE, bookmarks: true };
+        const documents = [
+            `<h1>First</h1>${sectionsHtml(3)}`,
+            '<h1>Second</h1><p>Short document 12345678</p>',
+            `<h1>Third</h1>${sectionsHtml(2)}`
+        ];
+
+        // Generated one at a time, then all at once on the same instance
+        const expected = [];
+        for (const html of documents) {
+            expected.push(await generator.generatePDFFromHTML(html, options));
+        }
+        const actual = await Promise.all(documents.map((html, i) => (i === 1
+            ? collect(generator.generatePDFStream(html, options))
+            : generator.generatePDFFromHTML(html, options))));
+
+        actual.forEach((pdf, i) => assert(pdf.equals(expected[i]), `document ${i + 1} differs when generated concurrently`));
+        assertEqual(generator.getStatistics().documentsGenerated, 6, 'documents counted');
+        return `${documents.length} documents identical to sequential output`;
+    },
+
+    async 'Number formatting policies'() {
+        const textOf = async (generator, html, options = {}) =>
+            pageStrings(readPDF(await generator.generatePDFFromHTML(html, { compress: false, ...options })))[0].join('|');
+
+        // Unmarked text is left as written unless a numberFormat is set
+        const plain = new EnhancedPDFGenerator();
+        assertEqual(await textOf(plain, '<p>Reference 202400012345 for 1000000000</p>'), 'Reference 202400012345 for 1000000000', 'unmarked long ID');
+        assertEqual(await textOf(plain, '<p>Total 1000000000</p>', { numberFormat: 'en-US' }), 'Total 1,000,000,000', 'en-US grouping');
+        assertEqual(await textOf(plain, '<p data-format="number">Rate 12345.678</p>'), 'Rate 12,345.678', 'marked number without a numberFormat');
+
+        const generator = new EnhancedPDFGenerator({ numberFormat: 'en-IN' });
+        const text = (html, options) => textOf(generator, html, options);
+        assertEqual(await text('<p>Sanctioned limit 10000000000</p>'), 'Sanctioned limit 10,00,00,00,000', 'constructor en-IN grouping');
+        assertEqual(await text('<p>Total 1234567</p>', { numberFormat: false }), 'Total 1234567', 'formatting off');
+        assertEqual(await text('<p>Account <span class="no-format">001234567890</span></p>'), 'Account 001234567890', 'no-format class');
+        assertEqual(await text('<p data-currency="INR">Due <span class="amount">1234567.5</span></p>'),
+            'Due INR\u00a012,34,567.50', 'INR amount with a standard font');
+        assertEqual(await text('<p>Due <span class="amount">1234567.5</span></p>', { numberFormat: 'de-DE', currency: 'EUR' }),
+            'Due 1.234.567,50\u00a0€', 'EUR amount');
+
+        // With a registered font, the currency symbol is kept only if the font has a glyph for it
+        const withFont = async (characters) => {
+            const fonts = new EnhancedPDFGenerator({ numberFormat: 'en-IN' });
+            fonts.registerFont('TestSans', testFont(characters));
+            const pdf = await fonts.generatePDFFromHTML(
+                '<p style="font-family: TestSans" data-currency="INR"><span class="amount">1500</span></p>', { compress: false });
+            return { source: pdf.toString('latin1'), fallbacks: fonts.getStatistics().fontFallbacks };
+        };
+        const symbol = await withFont(' .,0123456789\u00a0₹');
+        assert(symbol.source.includes('<20B9>') && symbol.fallbacks === 0, 'rupee sign drawn with the font');
+        const code = await withFont(' .,0123456789\u00a0INR');
+        assert(!code.source.includes('<20B9>') && code.source.includes('<0049>') && code.fallbacks === 0, 'currency code when the font lacks the symbol');
+        assertEqual(await text('<p>Total 1234567</p>', { numberFormat: (value) => `#${value}` }), 'Total #1234567', 'formatter function');
+        return 'locales, opt-outs, amounts and formatter functions';
+    },
+
+    async 'Template escaping and helpers'() {
+        const generator = new EnhancedPDFGenerator();
+        generator
+            .registerPartial('row', '<li>{{name}}: {{currency amount}}</li>')
+            .registerHelper('initials', (name) => name.split(' ').map(part => part[0]).join(''));
+
+        const render = generator.compileTemplate(
+            '<p>{{customer.name}} {{{note}}} {{uppercase customer.name}} ({{initials customer.name}})</p>' +
+            '<p>{{date issued "iso"}} {{date}}</p>' +
+            '<ul>{{#each lines}}{{> row}}{{else}}<li>None</li>{{/each}}</ul>' +
+            '{{#if paid}}<p>Paid</p>{{else}}<p>Due</p>{{/if}}{{! not rendered }}');
+        const data = {
+            customer: { name: 'Tom & "Jerry" <b>' },
+            note: '<em>raw</em>',
+            issued: '2024-03-05T12:00:00Z',
+            date: 'as given',
+            lines: [{ name: 'Fee', amount: 1234.5 }],
+            paid: false
+        };
+
+        const html = render(data, { currency: 'USD' });
+        assertEqual(html,
+            '<p>Tom &amp; &quot;Jerry&quot; &lt;b&gt; <em>raw</em> TOM &amp; &quot;JERRY&quot; &lt;B&gt; (T&amp;&quot;&lt;)</p>' +
+            '<p>2024-03-05 as given</p><ul><li>Fee: $1,234.50</li></ul><p>Due</p>', 'rendered HTML');
+
+        // Malformed templates report the offending line
+        try {
+            generator.compileTemplate('<p>\n{{#each lines}}\n</p>');
+            throw new Error('an unclosed block was accepted');
+        } catch (error) {
+            assert(/line 2/.test(error.message) && error.code === 'INVALID_INPUT', `unexpected error: ${error.message}`);
+        }
+
+        // Escaped markup is drawn as text, not parsed
+        const pdf = readPDF(await generator.generatePDFFromTemplate('<p>{{value}}</p>', { value: '<b>bold?</b> & more' }, { compress: false }));
+        assertEqual(pageStrings(pdf)[0].join(''), '<b>bold?</b> & more', 'drawn text');
+        return 'escaping, raw values, partials, built-in and registered helpers';
+    },
+
+    async 'Link annotations'() {
+        const generator = new EnhancedPDFGenerator();
+        const pdf = readPDF(await generator.generatePDFFromHTML(`
+            <p>Write to <a href="mailto:support@example.com">support</a>,
+               see <a href="#fees">the fees</a> or <a href="javascript:alert(1)">this</a>
+               or <a href="#missing">nothing</a>.</p>
+            ${'<p>Filler paragraph to push the fee schedule down the document.</p>'.repeat(60)}
+            <h2 id="fees">Fee schedule</h2>`, { creationDate: FIXED_DATE }));
+
+        const links = readLinks(pdf);
+        const destinations = readDestinations(pdf);
+        assertEqual(links.map(link => link.uri || `#${link.dest}`), ['mailto:support@example.com', '#fees'], 'link targets');
+        assert(destinations.fees > 1, `"fees" should point past the first page, got ${destinations.fees}`);
+        assert(pageStrings(pdf)[destinations.fees - 1].includes('Fee schedule'), 'destination page shows the heading');
+        for (const link of links) {
+            const [x1, y1, x2, y2] = link.rect;
+            assert(link.page === 1 && x2 > x1 && y2 > y1, `bad link rectangle ${link.rect}`);
+        }
+        return `${links.length} links, unsafe and dangling targets dropped`;
+    },
+
+    async 'Document outline'() {
+        const generator = new EnhancedPDFGenerator();
+        const html = `<h1>Overview</h1><h2>Scope</h2><h3>Limits</h3>${'<p>Text</p>'.repeat(50)}<h2>Terms</h2><h1>Appendix</h1>`;
+
+        const outline = readOutline(readPDF(await generator.generatePDFFromHTML(html, { bookmarks: true })));
+        const shape = (items) => items.map(item => [item.title, item.count, ...(item.children.length ? [shape(item.children)] : [])]);
+        assertEqual(shape(outline), [['Overview', 3, [['Scope', 1, [['Limits', 0]]], ['Terms', 0]]], ['Appendix', 0]], 'outline tree');
+        assert(outline[1].page > outline[0].page, 'later headings are on later pages');
+
+        const plain = readPDF(await generator.generatePDFFromHTML(html));
+        assert(readOutline(plain) === null, 'no outline without the bookmarks option');
+        return 'nesting, counts and pages follow the headings';
+    },
+
+    async 'Table of contents page numbers'() {
+        const generator = new EnhancedPDFGenerator();
+        const pdf = readPDF(await generator.generatePDFFromHTML(sectionsHtml(12), {
+            creationDate: FIXED_DATE,
+            tableOfContents: { depth: 2, title: 'Contents' },
+            bookmarks: true
+        }));
+
+        // Flatten the outline: the page each heading really landed on
+        const actual = new Map();
+        const walk = (items) => items.forEach(item => { actual.set(item.title, item.page); walk(item.children); });
+        walk(readOutline(pdf));
+
+        // The contents lists each title, a dot leader, then its page number
+        const entries = [];
+        const strings = pageStrings(pdf).flat();
+        let title = [];
+        for (let i = 0; i < strings.length && entries.length < actual.size; i++) {
+            if (/^\.{3,}$/.test(strings[i])) {
+                entries.push({ title: title.join('').trim(), page: Number(strings[i + 1]) });
+                title = [];
+                i++;
+            } else if (strings[i] !== 'Contents') {
+                title.push(strings[i]);
+            }
+        }
+
+        assertEqual(entries.length, actual.size, 'contents entries');
+        for (const entry of entries) {
+            assertEqual(entry.page, actual.get(entry.title), `page of "${entry.title}"`);
+        }
+        assert(entries[entries.length - 1].page > 2, 'expected the contents to span several pages of body');
+
+        // Only glyphs drawn in the final layout are embedded, not those of trial layouts
+        generator.registerFont('TestSans', testFont(' .0123456789CDEPST?acefhiilnnorstu'));
+        const fontPdf = readPDF(await generator.generatePDFFromHTML(
+            `<body style="font-family: TestSans"><toc title="Contents"></toc>${'<h1>Section</h1><p>Text</p>'.repeat(60)}</body>`,
+            { compress: false }));
+        const glyphs = (text) => new Set(text.match(/<([0-9a-f]+)> Tj/g).flatMap(hex => hex.slice(1, -4).match(/.{4}/g)));
+        const drawn = glyphs(fontPdf.pages.map(num => pageContent(fontPdf, num)).join('\n'));
+        const embedded = [...fontPdf.source.match(/\/W \[(.*)\]/)[1].matchAll(/(\d+) \[/g)].map(match => Number(match[1]));
+        assertEqual(embedded.join(','), [...drawn].map(glyph => parseInt(glyph, 16)).sort((a, b) => a - b).join(','), 'embedded glyphs');
+        return `${entries.length} entries match the pages their headings are on`;
+    }
+};
+
+async function runBehaviorTests() {
+    console.log('🔬 Enhanced PDF Generator - Behavior Tests');
+    console.log('==========================================\n');
+
+    const results = [];
+    for (const [name, check] of Object.entries(checks)) {
+        try {
+            const detail = await check();
+            console.log(`   ✅ ${name}: ${detail}`);
+            results.push({ test: name, status: 'PASS' });
+        } catch (error) {
+            console.log(`   ❌ ${name}: ${error.message}`);
+            results.push({ test: name, status: 'FAIL', error: error.message });
+        }
+    }
+
+    const failed = results.filter(r => r.status === 'FAIL').length;
+    console.log(`\nPassed: ${results.length - failed}/${results.length}`);
+    return failed === 0;
+}
+
+// Run the tests
+if (require.main === module) {
+    runBehaviorTests().then(success => {
+        process.exit(success ? 0 : 1);
+    }).catch(error => {
+        console.error('\n💥 Test error:', error.message);
+        process.exit(1);
+    });
+}
+
+module.exports = runBehaviorTests;
@@ -26,536 +26,5901 @@
  */
 
 const fs = require('fs').promises;
+const { createWriteStream } = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { Readable } = require('stream');
+const { pipeline } = require('stream/promises');
+const { performance } = require('perf_hooks');
+
+/**
+ * Named page sizes in points (portrait)
+ */
+const PAGE_FORMATS = {
+    A3: [842, 1191],
+    A4: [595, 842],
+    LETTER: [612, 792],
+    LEGAL: [612, 1008],
+    TABLOID: [792, 1224]
+};
+
+// Points per unit for page and margin lengths
+const UNIT_TO_POINTS = {
+    pt: 1,
+    px: 0.75,
+    in: 72,
+    cm: 72 / 2.54,
+    mm: 72 / 25.4
+};
+
+/**
+ * Font resources available to every page, keyed by resource name
+ */
+const FONTS = {
+    F1: 'Helvetica',
+    F2: 'Helvetica-Bold',
+    F3: 'Helvetica-Oblique',
+    F4: 'Helvetica-BoldOblique'
+};
+
+/**
+ * Glyph advance widths (1/1000 em) for character codes 32-126,
+ * taken from the Adobe AFM metrics of the standard-14 fonts.
+ * Oblique faces share the metrics of their upright counterparts.
+ */
+const FONT_WIDTHS = {
+    'Helvetica': [
+        278, 278, 355, 556, 556, 889, 667, 222, 333, 333, 389, 584, 278, 333, 278, 278,
+        556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+        1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+        667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+        222, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+        556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+    ],
+    'Helvetica-Bold': [
+        278, 333, 474, 556, 556, 889, 722, 278, 333, 333, 389, 584, 278, 333, 278, 278,
+        556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+        975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+        667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+        278, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+        611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+    ]
+};
+
+// Width used for characters outside the metrics table
+const DEFAULT_GLYPH_WIDTH = 556;
+
+// WinAnsiEncoding codes 128-159 for the characters that differ from Latin-1
+const WIN_ANSI_CODES = {
+    0x20AC: 0x80, 0x201A: 0x82, 0x0192: 0x83, 0x201E: 0x84, 0x2026: 0x85, 0x2020: 0x86,
+    0x2021: 0x87, 0x02C6: 0x88, 0x2030: 0x89, 0x0160: 0x8A, 0x2039: 0x8B, 0x0152: 0x8C,
+    0x017D: 0x8E, 0x2018: 0x91, 0x2019: 0x92, 0x201C: 0x93, 0x201D: 0x94, 0x2022: 0x95,
+    0x2013: 0x96, 0x2014: 0x97, 0x02DC: 0x98, 0x2122: 0x99, 0x0161: 0x9A, 0x203A: 0x9B,
+    0x0153: 0x9C, 0x017E: 0x9E, 0x0178: 0x9F
+};
+
+// Info dictionary keys for the metadata options
+const INFO_FIELDS = {
+    title: 'Title',
+    author: 'Author',
+    subject: 'Subject',
+    keywords: 'Keywords',
+    creator: 'Creator',
+    producer: 'Producer'
+};
+
+// Producer recorded in the document metadata unless overridden
+const PRODUCER = 'Enhanced PDF Generator';
+
+// TrueType tables copied into embedded font subsets
+const SUBSET_FONT_TABLES = ['cvt ', 'fpgm', 'glyf', 'head', 'hhea', 'hmtx', 'loca', 'maxp', 'prep'];
+
+// CSS properties that elements inherit from their parent
+const INHERITED_PROPERTIES = ['color', 'font-size', 'font-family', 'text-align'];
+
+// Default color of link text, which is also underlined
+const LINK_COLOR = '#0000ee';
+
+// Styles applied before author stylesheets, so that headings keep their
+// own size instead of inheriting the body font size
+const DEFAULT_STYLESHEET = `
+    h1, h2, h3, h4, h5, h6 { font-size: 18px; }
+    center, caption { text-align: center; }
+    a[href] { color: ${LINK_COLOR}; text-decoration: underline; }
+`;
+
+// Elements whose legacy align attribute sets text-align
+const ALIGN_ATTRIBUTE_ELEMENTS = new Set([
+    'caption', 'div', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'p', 'tbody', 'td', 'tfoot', 'th', 'thead', 'tr'
+]);
+
+// text-align values mapped to the alignments the layout supports
+const TEXT_ALIGNMENTS = {
+    left: 'left',
+    start: 'left',
+    right: 'right',
+    end: 'right',
+    center: 'center',
+    middle: 'center',
+    justify: 'justify'
+};
+
+// Font size used when nothing sets one, and the size of 1rem
+const DEFAULT_FONT_SIZE = 16;
+
+// CSS pixels per unit for absolute lengths
+const CSS_UNIT_TO_PX = {
+    pt: 96 / 72,
+    pc: 16,
+    in: 96,
+    cm: 96 / 2.54,
+    mm: 96 / 25.4,
+    q: 96 / 101.6
+};
+
+// Absolute font-size keywords, in px
+const FONT_SIZE_KEYWORDS = {
+    'xx-small': 9,
+    'x-small': 10,
+    'small': 13,
+    'medium': 16,
+    'large': 18,
+    'x-large': 24,
+    'xx-large': 32,
+    'xxx-large': 48
+};
+
+// Computed properties holding lengths that are resolved to px during the cascade
+const LENGTH_PROPERTIES = /^(?:(?:margin|padding)-(?:top|right|bottom|left)|width|height|border-spacing|text-indent)$/;
+
+// Sides of a box, in CSS shorthand order
+const BOX_SIDES = ['top', 'right', 'bottom', 'left'];
+
+// Border widths for the width keywords, in px
+const BORDER_WIDTH_KEYWORDS = { thin: 1, medium: 3, thick: 5 };
+
+// Values of border-style
+const BORDER_STYLES = new Set(['none', 'hidden', 'dotted', 'dashed', 'solid', 'double', 'groove', 'ridge', 'inset', 'outset']);
+
+// CSS named colors
+const CSS_NAMED_COLORS = {
+    aliceblue: '#f0f8ff', antiquewhite: '#faebd7', aqua: '#00ffff', aquamarine: '#7fffd4',
+    azure: '#f0ffff', beige: '#f5f5dc', bisque: '#ffe4c4', black: '#000000',
+    blanchedalmond: '#ffebcd', blue: '#0000ff', blueviolet: '#8a2be2', brown: '#a52a2a',
+    burlywood: '#deb887', cadetblue: '#5f9ea0', chartreuse: '#7fff00', chocolate: '#d2691e',
+    coral: '#ff7f50', cornflowerblue: '#6495ed', cornsilk: '#fff8dc', crimson: '#dc143c',
+    cyan: '#00ffff', darkblue: '#00008b', darkcyan: '#008b8b', darkgoldenrod: '#b8860b',
+    darkgray: '#a9a9a9', darkgreen: '#006400', darkgrey: '#a9a9a9', darkkhaki: '#bdb76b',
+    darkmagenta: '#8b008b', darkolivegreen: '#556b2f', darkorange: '#ff8c00', darkorchid: '#9932cc',
+    darkred: '#8b0000', darksalmon: '#e9967a', darkseagreen: '#8fbc8f', darkslateblue: '#483d8b',
+    darkslategray: '#2f4f4f', darkslategrey: '#2f4f4f', darkturquoise: '#00ced1',
+    darkviolet: '#9400d3', deeppink: '#ff1493', deepskyblue: '#00bfff', dimgray: '#696969',
+    dimgrey: '#696969', dodgerblue: '#1e90ff', firebrick: '#b22222', floralwhite: '#fffaf0',
+    forestgreen: '#228b22', fuchsia: '#ff00ff', gainsboro: '#dcdcdc', ghostwhite: '#f8f8ff',
+    gold: '#ffd700', goldenrod: '#daa520', gray: '#808080', green: '#008000',
+    greenyellow: '#adff2f', grey: '#808080', honeydew: '#f0fff0', hotpink: '#ff69b4',
+    indianred: '#cd5c5c', indigo: '#4b0082', ivory: '#fffff0', khaki: '#f0e68c',
+    lavender: '#e6e6fa', lavenderblush: '#fff0f5', lawngreen: '#7cfc00', lemonchiffon: '#fffacd',
+    lightblue: '#add8e6', lightcoral: '#f08080', lightcyan: '#e0ffff',
+    lightgoldenrodyellow: '#fafad2', lightgray: '#d3d3d3', lightgreen: '#90ee90',
+    lightgrey: '#d3d3d3', lightpink: '#ffb6c1', lightsalmon: '#ffa07a', lightseagreen: '#20b2aa',
+    lightskyblue: '#87cefa', lightslategray: '#778899', lightslategrey: '#778899',
+    lightsteelblue: '#b0c4de', lightyellow: '#ffffe0', lime: '#00ff00', limegreen: '#32cd32',
+    linen: '#faf0e6', magenta: '#ff00ff', maroon: '#800000', mediumaquamarine: '#66cdaa',
+    mediumblue: '#0000cd', mediumorchid: '#ba55d3', mediumpurple: '#9370db',
+    mediumseagreen: '#3cb371', mediumslateblue: '#7b68ee', mediumspringgreen: '#00fa9a',
+    mediumturquoise: '#48d1cc', mediumvioletred: '#c71585', midnightblue: '#191970',
+    mintcream: '#f5fffa', mistyrose: '#ffe4e1', moccasin: '#ffe4b5', navajowhite: '#ffdead',
+    navy: '#000080', oldlace: '#fdf5e6', olive: '#808000', olivedrab: '#6b8e23', orange: '#ffa500',
+    orangered: '#ff4500', orchid: '#da70d6', palegoldenrod: '#eee8aa', palegreen: '#98fb98',
+    paleturquoise: '#afeeee', palevioletred: '#db7093', papayawhip: '#ffefd5', peachpuff: '#ffdab9',
+    peru: '#cd853f', pink: '#ffc0cb', plum: '#dda0dd', powderblue: '#b0e0e6', purple: '#800080',
+    rebeccapurple: '#663399', red: '#ff0000', rosybrown: '#bc8f8f', royalblue: '#4169e1',
+    saddlebrown: '#8b4513', salmon: '#fa8072', sandybrown: '#f4a460', seagreen: '#2e8b57',
+    seashell: '#fff5ee', sienna: '#a0522d', silver: '#c0c0c0', skyblue: '#87ceeb',
+    slateblue: '#6a5acd', slategray: '#708090', slategrey: '#708090', snow: '#fffafa',
+    springgreen: '#00ff7f', steelblue: '#4682b4', tan: '#d2b48c', teal: '#008080',
+    thistle: '#d8bfd8', tomato: '#ff6347', turquoise: '#40e0d0', violet: '#ee82ee',
+    wheat: '#f5deb3', white: '#ffffff', whitesmoke: '#f5f5f5', yellow: '#ffff00',
+    yellowgreen: '#9acd32'
+};
+
+// Locale used to format marked numbers when no numberFormat is set
+const DEFAULT_NUMBER_LOCALE = 'en-US';
+
+// Number format kinds accepted by the data-format attribute
+const NUMBER_FORMAT_KINDS = { auto: 'auto', none: 'none', off: 'none', number: 'number', amount: 'amount' };
+
+// Classes that choose a number format kind
+const NUMBER_FORMAT_CLASSES = { 'no-format': 'none', 'format-number': 'number', amount: 'amount' };
+
+// Numbers in elements that opt in, with or without group separators,
+// but not parts of identifiers or version strings (INV2024, 1.2.3)
+const NUMBER_PATTERN = /(?<![\w.])-?\d[\d,]*(?:\.\d+)?(?!\w|\.\d)/g;
+
+// Runs of five or more digits in unmarked text, when a numberFormat is set
+const UNMARKED_NUMBER_PATTERN = /(?<![\w.,])\d{5,}(?![\w,])/g;
+
+// Amounts, with an optional currency symbol before the number
+const AMOUNT_PATTERN = /(?<![\w.])([$€£¥₹]\s?)?(-?\d[\d,]*(?:\.\d+)?)(?!\w|\.\d)/g;
+
+// Parsed templates kept for reuse, and how deeply partials may nest
+const TEMPLATE_CACHE_SIZE = 100;
+const MAX_PARTIAL_DEPTH = 20;
+
+// Heading levels a table of contents lists by default, and how many layout
+// passes may be spent waiting for its page numbers to settle
+const TOC_DEPTH = 3;
+const MAX_TOC_PASSES = 4;
+
+// Number of recent generation times kept for percentile statistics
+const STATISTICS_SAMPLE_SIZE = 1000;
+
+// Error codes set on thrown errors, and the failure types counted in the
+// statistics; any other error is counted as UNKNOWN
+const ERROR_CODES = ['INVALID_INPUT', 'INVALID_OPTION', 'IMAGE', 'FONT'];
+
+// Elements whose content is never rendered
+const NON_RENDERED_ELEMENTS = new Set([
+    'head', 'title', 'style', 'script', 'template', 'noscript', 'meta', 'link', 'base'
+]);
+
+// Elements that start a new block in the layout
+const BLOCK_ELEMENTS = new Set([
+    'address', 'article', 'aside', 'blockquote', 'body', 'caption', 'center', 'dd', 'details',
+    'dialog', 'div', 'dl', 'dt', 'fieldset', 'figcaption', 'figure', 'footer', 'form',
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hgroup', 'hr', 'html', 'li', 'main',
+    'nav', 'ol', 'p', 'pre', 'section', 'summary', 'table', 'tbody', 'td', 'tfoot', 'th',
+    'thead', 'toc', 'tr', 'ul'
+]);
+
+// Indentation added per list nesting level, and the gap between marker and text
+const LIST_INDENT = 24;
+const LIST_MARKER_GAP = 6;
+
+// Bullet shapes used by unordered lists at increasing nesting depths
+const UNORDERED_MARKERS = ['disc', 'circle', 'square'];
+
+// list-style-type values understood by the list renderer
+const LIST_STYLE_TYPES = new Set([
+    'none', 'disc', 'circle', 'square', 'decimal', 'decimal-leading-zero',
+    'lower-alpha', 'upper-alpha', 'lower-latin', 'upper-latin', 'lower-roman', 'upper-roman'
+]);
+
+// Legacy `type` attribute values on <ol>, <ul> and <li>
+const LIST_TYPE_ATTRIBUTES = {
+    '1': 'decimal', 'a': 'lower-alpha', 'A': 'upper-alpha', 'i': 'lower-roman', 'I': 'upper-roman',
+    'disc': 'disc', 'circle': 'circle', 'square': 'square'
+};
+
+// Elements that never have content or an end tag
+const VOID_ELEMENTS = new Set([
+    'area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta',
+    'param', 'source', 'track', 'wbr'
+]);
+
+// Elements whose content is raw text rather than markup
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'title', 'textarea']);
+
+// Start tags that implicitly close an open <p>
+const P_CLOSING_ELEMENTS = new Set([
+    'address', 'article', 'aside', 'blockquote', 'details', 'div', 'dl', 'fieldset',
+    'figcaption', 'figure', 'footer', 'form', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header',
+    'hgroup', 'hr', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'table', 'toc', 'ul'
+]);
+
+// Named character references recognized by the HTML parser
+const HTML_ENTITIES = {
+    nbsp: '\u00A0', amp: '&', lt: '<', gt: '>', quot: '"', apos: "'",
+    copy: '©', reg: '®', trade: '™', euro: '€', pound: '£', yen: '¥', cent: '¢',
+    sect: '§', para: '¶', deg: '°', plusmn: '±', times: '×', divide: '÷', micro: 'µ',
+    middot: '·', bull: '•', hellip: '…', ndash: '–', mdash: '—',
+    lsquo: '‘', rsquo: '’', sbquo: '‚', ldquo: '“', rdquo: '”', bdquo: '„',
+    laquo: '«', raquo: '»', lsaquo: '‹', rsaquo: '›', iexcl: '¡', iquest: '¿',
+    frac14: '¼', frac12: '½', frac34: '¾', sup1: '¹', sup2: '²', sup3: '³',
+    larr: '←', rarr: '→', uarr: '↑', darr: '↓', harr: '↔',
+    ensp: '\u2002', emsp: '\u2003', thinsp: '\u2009', zwnj: '\u200C', zwj: '\u200D', shy: '\u00AD'
+};
 
 class EnhancedPDFGenerator {
     constructor(options = {}) {
         this.options = {
             enableCSS: true,
+            compress: true,
             debug: false,
             ...options
         };
 
-        if (this.options.debug) {
-            console.log('[INFO] Enhanced PDF Generator - STABLE VERSION initialized');
-        }
-    }
+        this.statistics = this._createStatistics();
+
+        // Registered TrueType fonts by resource name, and their faces by family
+        this.fonts = new Map();
+        this.fontFamilies = new Map();
+
+        // Template partials and helpers by name, and parsed templates by source
+        this.partials = new Map();
+        this.helpers = new Map();
+        this.templates = new Map();
+
+        if (this.options.debug) {
+            console.log('[INFO] Enhanced PDF Generator - STABLE VERSION initialized');
+        }
+    }
+
+    /**
+     * Register a TrueType font (.ttf, or .otf with TrueType outlines) for use
+     * through CSS font-family. Register each face of a family separately,
+     * e.g. `registerFont('NotoSans', boldPath, { bold: true })`.
+     */
+    registerFont(family, source, options = {}) {
+        if (typeof family !== 'string' || !family.trim()) {
+            throw this._error('FONT', 'Font family must be a non-empty string');
+        }
+        if (typeof source !== 'string' && !Buffer.isBuffer(source)) {
+            throw this._error('FONT', 'Font source must be a file path or a Buffer');
+        }
+
+        const key = family.trim().toLowerCase();
+        const face = options.bold ? (options.italic ? 'boldItalic' : 'bold') : (options.italic ? 'italic' : 'regular');
+        const faces = this.fontFamilies.get(key) || {};
+
+        // Re-registering a face replaces it under the same resource name
+        const name = faces[face] || `F${Object.keys(FONTS).length + this.fonts.size + 1}`;
+        faces[face] = name;
+        this.fontFamilies.set(key, faces);
+        this.fonts.set(name, { name, family: family.trim(), source, metrics: null });
+
+        this._log(`Registered font ${family} (${face}) as ${name}`, 'debug');
+        return this;
+    }
+
+    /**
+     * Register a partial that templates include with `{{> name}}`
+     */
+    registerPartial(name, template) {
+        if (typeof name !== 'string' || !name.trim()) {
+            throw this._error('INVALID_OPTION', 'Partial name must be a non-empty string');
+        }
+        if (typeof template !== 'string') {
+            throw this._error('INVALID_OPTION', `Partial "${name}" must be a template string`);
+        }
+
+        this.partials.set(name.trim(), template);
+        return this;
+    }
+
+    /**
+     * Register a helper that templates call with `{{name arg1 arg2}}`.
+     * The helper receives the evaluated arguments; its result is escaped
+     * unless called with triple braces.
+     */
+    registerHelper(name, helper) {
+        if (typeof name !== 'string' || !name.trim()) {
+            throw this._error('INVALID_OPTION', 'Helper name must be a non-empty string');
+        }
+        if (typeof helper !== 'function') {
+            throw this._error('INVALID_OPTION', `Helper "${name}" must be a function`);
+        }
+
+        this.helpers.set(name.trim(), helper);
+        return this;
+    }
+
+    /**
+     * Generate PDF from HTML or plain text, detecting the content type
+     * from strings, Buffers or readable streams. Pass
+     * `contentType: 'html' | 'text'` to skip detection.
+     */
+    async generatePDF(content, options = {}) {
+        const { contentType = 'auto', ...pdfOptions } = options;
+        let input;
+        let detectedType;
+
+        try {
+            if (!['auto', 'html', 'text'].includes(contentType)) {
+                throw this._error('INVALID_OPTION', `Unsupported contentType "${contentType}", expected 'auto', 'html' or 'text'`);
+            }
+
+            input = await this._readContent(content);
+            detectedType = contentType === 'auto' ? this._detectContentType(input) : contentType;
+
+            this._log(`Content type: ${detectedType}${contentType === 'auto' ? ' (detected)' : ''}`, 'info');
+
+        } catch (error) {
+            this._recordFailure(error);
+            this._log(`PDF generation failed: ${error.message}`, 'error');
+            throw error;
+        }
+
+        // The type-specific generators record their own statistics
+        return detectedType === 'html'
+            ? this.generatePDFFromHTML(input, pdfOptions)
+            : this.generatePDFFromText(input, pdfOptions);
+    }
+
+    /**
+     * Generate PDF from HTML with maximum stability
+     */
+    async generatePDFFromHTML(html, options = {}) {
+        const startTime = performance.now();
+
+        try {
+            this._log('Starting HTML to PDF generation - STABLE APPROACH', 'info');
+
+            const { content, pdfOptions, resources } = await this._prepareHTML(html, options);
+
+            // Generate PDF using simple, stable approach
+            const pdfBuffer = await this._generateStablePDF(content, pdfOptions, resources);
+
+            this._recordSuccess(pdfBuffer.length, startTime);
+            this._log('PDF generated successfully - STABLE VERSION', 'info');
+            return pdfBuffer;
+
+        } catch (error) {
+            this._recordFailure(error);
+            this._log(`PDF generation failed: ${error.message}`, 'error');
+            throw error;
+        }
+    }
+
+    /**
+     * Generate PDF from HTML as a Readable stream of the file's bytes.
+     * Pages are written as they are laid out, so memory use does not grow
+     * with the page count; errors are emitted on the stream.
+     */
+    generatePDFStream(html, options = {}) {
+        return Readable.from(this._streamPDFFromHTML(html, options), { objectMode: false });
+    }
+
+    /**
+     * Produce the chunks of a PDF generated from HTML, recording statistics
+     * once the last chunk has been produced
+     * @private
+     */
+    async *_streamPDFFromHTML(html, options) {
+        const startTime = performance.now();
+        let size = 0;
+
+        try {
+            this._log('Starting streamed HTML to PDF generation', 'info');
+
+            const { content, pdfOptions, resources } = await this._prepareHTML(html, options);
+
+            for await (const chunk of this._generatePDFChunks(content, pdfOptions, resources)) {
+                if (chunk.length === 0) continue;
+                size += chunk.length;
+                yield chunk;
+            }
+
+            this._recordSuccess(size, startTime);
+            this._log(`PDF streamed successfully (${size} bytes)`, 'info');
+
+        } catch (error) {
+            this._recordFailure(error);
+            this._log(`PDF generation failed: ${error.message}`, 'error');
+            throw error;
+        }
+    }
+
+    /**
+     * Validate HTML and turn it into content items, with the resolved
+     * options and the images the content refers to
+     * @private
+     */
+    async _prepareHTML(html, options) {
+        if (html === null || html === undefined) {
+            throw this._error('INVALID_INPUT', 'HTML content cannot be null or undefined');
+        }
+        if (typeof html !== 'string') {
+            throw this._error('INVALID_INPUT', `HTML content must be a string, received ${typeof html}`);
+        }
+
+        // Default options
+        const pdfOptions = this._resolveOptions(options);
+
+        // Parse and style once, then load the fonts and images the document refers to
+        await this._loadFonts();
+        const document = this._parseHTML(html);
+        this._applyStyles(document, pdfOptions);
+        this._applyNumberFormats(document, pdfOptions);
+        const images = await this._loadImages(document, pdfOptions);
+
+        // Without a title option, the document's <title> names the PDF
+        if (!options.title) {
+            pdfOptions.title = this._extractTitle(document) || pdfOptions.title;
+        }
+
+        // Extract and clean content
+        const content = this._extractTextContent(document, { images });
+        this._fillTablesOfContents(content, pdfOptions);
+
+        return { content, pdfOptions, resources: { images } };
+    }
+
+    /**
+     * Generate PDF from plain text, preserving line breaks, blank-line
+     * spacing and leading indentation
+     */
+    async generatePDFFromText(text, options = {}) {
+        const startTime = performance.now();
+
+        try {
+            this._log('Starting text to PDF generation', 'info');
+
+            if (text === null || text === undefined) {
+                throw this._error('INVALID_INPUT', 'Text content cannot be null or undefined');
+            }
+            if (typeof text !== 'string') {
+                throw this._error('INVALID_INPUT', `Text content must be a string, received ${typeof text}`);
+            }
+            if (!text.trim()) {
+                throw this._error('INVALID_INPUT', 'Text content cannot be empty');
+            }
+
+            const pdfOptions = this._resolveOptions(options);
+
+            // Turn lines into content items for the shared layout engine
+            const textContent = this._extractPlainTextContent(text, pdfOptions);
+
+            const pdfBuffer = await this._generateStablePDF(textContent, pdfOptions);
+
+            this._recordSuccess(pdfBuffer.length, startTime);
+            this._log('PDF generated successfully from text', 'info');
+            return pdfBuffer;
+
+        } catch (error) {
+            this._recordFailure(error);
+            this._log(`PDF generation failed: ${error.message}`, 'error');
+            throw error;
+        }
+    }
+
+    /**
+     * Compile a template for repeated rendering. Returns a function
+     * `(data, options) => html`; generatePDFFromTemplate accepts it in place
+     * of the template source.
+     */
+    compileTemplate(template) {
+        if (typeof template !== 'string') {
+            throw this._error('INVALID_INPUT', `Template must be a string, received ${typeof template}`);
+        }
+
+        const nodes = this._compileTemplate(template);
+        return (data = {}, options = {}) => this._renderTemplateNodes(nodes, { context: data, parent: null, vars: {} }, options, 0);
+    }
+
+    /**
+     * Render a template with data and generate a PDF from the resulting
+     * HTML. `{{value}}` is HTML-escaped, `{{{value}}}` is inserted as is.
+     */
+    async generatePDFFromTemplate(template, data = {}, options = {}) {
+        let html;
+
+        try {
+            this._log('Rendering template', 'info');
+            html = typeof template === 'function'
+                ? template(data, options)
+                : this.compileTemplate(template)(data, options);
+
+        } catch (error) {
+            this._recordFailure(error);
+            this._log(`PDF generation failed: ${error.message}`, 'error');
+            throw error;
+        }
+
+        // generatePDFFromHTML records its own statistics
+        return this.generatePDFFromHTML(html, options);
+    }
+
+    /**
+     * Read content from a string, Buffer or readable stream into a string
+     * @private
+     */
+    async _readContent(content) {
+        if (content === null || content === undefined) {
+            throw this._error('INVALID_INPUT', 'Content cannot be null or undefined');
+        }
+
+        if (typeof content === 'string') {
+            return content;
+        }
+
+        if (Buffer.isBuffer(content)) {
+            return content.toString('utf8').replace(/^\uFEFF/, '');
+        }
+
+        // Readable streams (fs.createReadStream, http responses, etc.)
+        if (typeof content.pipe === 'function' && typeof content[Symbol.asyncIterator] === 'function') {
+            const chunks = [];
+            for await (const chunk of content) {
+                chunks.push(typeof chunk === 'string' ? Buffer.from(chunk, 'utf8') : chunk);
+            }
+            return Buffer.concat(chunks).toString('utf8').replace(/^\uFEFF/, '');
+        }
+
+        throw this._error('INVALID_INPUT', `Unsupported content type: expected string, Buffer or readable stream, received ${typeof content}`);
+    }
+
+    /**
+     * Decide whether content is HTML or plain text
+     * @private
+     */
+    _detectContentType(content) {
+        const sample = content.trim().substring(0, 4096);
+
+        // A doctype or document-level tag is conclusive
+        if (/^<!DOCTYPE\s+html/i.test(sample) || /<(html|head|body)[\s>]/i.test(sample)) {
+            return 'html';
+        }
+
+        // Otherwise look for well-formed tags that HTML documents commonly use
+        const tagPattern = /<\/?(h[1-6]|p|div|span|br|hr|b|i|u|strong|em|a|ul|ol|li|table|thead|tbody|tr|th|td|img|section|article|header|footer|style)(\s[^<>]*)?\/?>/i;
+        return tagPattern.test(sample) ? 'html' : 'text';
+    }
+
+    /**
+     * Parse a template into a tree of text, value, block and partial nodes,
+     * reusing the tree of a template parsed before
+     * @private
+     */
+    _compileTemplate(source) {
+        const cached = this.templates.get(source);
+        if (cached) return cached;
+
+        const root = { children: [] };
+        const stack = [{ node: root, target: root.children }];
+        const pattern = /\{\{\{([\s\S]*?)\}\}\}|\{\{([\s\S]*?)\}\}/g;
+        let position = 0;
+        let match;
+
+        const lineAt = (index) => source.substring(0, index).split('\n').length;
+
+        while ((match = pattern.exec(source)) !== null) {
+            const frame = stack[stack.length - 1];
+            if (match.index > position) {
+                frame.target.push({ type: 'text', text: source.substring(position, match.index) });
+            }
+            position = pattern.lastIndex;
+
+            if (match[1] !== undefined) {
+                frame.target.push({ type: 'value', ...this._parseTemplateExpression(match[1]), escape: false });
+                continue;
+            }
+
+            const tag = match[2].trim();
+            if (tag.startsWith('!')) {
+                continue;
+            }
+
+            if (tag.startsWith('#')) {
+                const block = { type: 'block', ...this._parseTemplateExpression(tag.substring(1)), children: [], inverse: [], line: lineAt(match.index) };
+                frame.target.push(block);
+                stack.push({ node: block, target: block.children });
+            } else if (tag === 'else') {
+                if (stack.length === 1) {
+                    throw this._error('INVALID_INPUT', `Template error on line ${lineAt(match.index)}: {{else}} outside a block`);
+                }
+                frame.target = frame.node.inverse;
+            } else if (tag.startsWith('/')) {
+                const name = tag.substring(1).trim();
+                if (stack.length === 1 || frame.node.name !== name) {
+                    throw this._error('INVALID_INPUT', `Template error on line ${lineAt(match.index)}: unexpected {{/${name}}}`);
+                }
+                stack.pop();
+            } else if (tag.startsWith('>')) {
+                frame.target.push({ type: 'partial', ...this._parseTemplateExpression(tag.substring(1)) });
+            } else {
+                frame.target.push({ type: 'value', ...this._parseTemplateExpression(tag), escape: true });
+            }
+        }
+
+        if (stack.length > 1) {
+            const open = stack[stack.length - 1].node;
+            throw this._error('INVALID_INPUT', `Template error on line ${open.line}: {{#${open.name}}} is never closed`);
+        }
+        if (position < source.length) {
+            root.children.push({ type: 'text', text: source.substring(position) });
+        }
+
+        // Keep the cache bounded for services rendering many distinct templates
+        if (this.templates.size >= TEMPLATE_CACHE_SIZE) {
+            this.templates.delete(this.templates.keys().next().value);
+        }
+        this.templates.set(source, root.children);
+        return root.children;
+    }
+
+    /**
+     * Split a tag's contents into a name and arguments. Arguments are paths
+     * or string, number, boolean and null literals.
+     * @private
+     */
+    _parseTemplateExpression(expression) {
+        const tokens = [];
+        const pattern = /"([^"]*)"|'([^']*)'|(\S+)/g;
+        let match;
+
+        while ((match = pattern.exec(expression)) !== null) {
+            if (match[1] !== undefined || match[2] !== undefined) {
+                tokens.push({ literal: match[1] !== undefined ? match[1] : match[2] });
+            } else if (/^-?\d+(\.\d+)?$/.test(match[3])) {
+                tokens.push({ literal: Number(match[3]) });
+            } else if (['true', 'false', 'null'].includes(match[3])) {
+                tokens.push({ literal: JSON.parse(match[3]) });
+            } else {
+                tokens.push({ path: match[3] });
+            }
+        }
+
+        if (tokens.length === 0 || tokens[0].path === undefined) {
+            throw this._error('INVALID_INPUT', `Template error: expected a name in {{${expression.trim()}}}`);
+        }
+        return { name: tokens[0].path, args: tokens.slice(1) };
+    }
+
+    /**
+     * Render parsed template nodes against a scope: `{ context, parent, vars }`,
+     * where vars holds @index, @first, @last and @key inside {{#each}}
+     * @private
+     */
+    _renderTemplateNodes(nodes, scope, options, depth) {
+        let html = '';
+
+        for (const node of nodes) {
+            if (node.type === 'text') {
+                html += node.text;
+            } else if (node.type === 'value') {
+                const value = this._templateValue(node, scope, options);
+                const text = value === null || value === undefined ? '' : String(value);
+                html += node.escape ? this._escapeHTML(text) : text;
+            } else if (node.type === 'block') {
+                html += this._renderTemplateBlock(node, scope, options, depth);
+            } else if (node.type === 'partial') {
+                html += this._renderTemplatePartial(node, scope, options, depth);
+            }
+        }
+
+        return html;
+    }
+
+    /**
+     * Render an {{#if}}, {{#unless}} or {{#each}} block
+     * @private
+     */
+    _renderTemplateBlock(node, scope, options, depth) {
+        if (node.args.length !== 1) {
+            throw this._error('INVALID_INPUT', `Template error on line ${node.line}: {{#${node.name}}} takes exactly one argument`);
+        }
+
+        const value = this._templateArgument(node.args[0], scope);
+        const truthy = Array.isArray(value) ? value.length > 0 : Boolean(value);
+
+        if (node.name === 'if' || node.name === 'unless') {
+            const branch = truthy === (node.name === 'if') ? node.children : node.inverse;
+            return this._renderTemplateNodes(branch, scope, options, depth);
+        }
+
+        if (node.name !== 'each') {
+            throw this._error('INVALID_INPUT', `Template error on line ${node.line}: unknown block {{#${node.name}}}`);
+        }
+
+        const entries = Array.isArray(value)
+            ? value.map((item, index) => [index, item])
+            : (value && typeof value === 'object' ? Object.entries(value) : []);
+        if (entries.length === 0) {
+            return this._renderTemplateNodes(node.inverse, scope, options, depth);
+        }
+
+        return entries.map(([key, item], index) => this._renderTemplateNodes(node.children, {
+            context: item,
+            parent: scope,
+            vars: { index, key, first: index === 0, last: index === entries.length - 1 }
+        }, options, depth)).join('');
+    }
+
+    /**
+     * Render a {{> partial}}, with the current context or the one given as
+     * its argument. Partials come from the `partials` option or registerPartial().
+     * @private
+     */
+    _renderTemplatePartial(node, scope, options, depth) {
+        const partials = options.partials || {};
+        const source = Object.prototype.hasOwnProperty.call(partials, node.name)
+            ? partials[node.name]
+            : this.partials.get(node.name);
+
+        if (typeof source !== 'string') {
+            throw this._error('INVALID_INPUT', `Template error: unknown partial "${node.name}"`);
+        }
+        if (depth >= MAX_PARTIAL_DEPTH) {
+            throw this._error('INVALID_INPUT', `Template error: partials nested more than ${MAX_PARTIAL_DEPTH} deep (is "${node.name}" recursive?)`);
+        }
+
+        const partialScope = node.args.length > 0
+            ? { context: this._templateArgument(node.args[0], scope), parent: scope, vars: {} }
+            : scope;
+        return this._renderTemplateNodes(this._compileTemplate(source), partialScope, options, depth + 1);
+    }
+
+    /**
+     * Look up a helper by name: the `helpers` option, then registerHelper(),
+     * then the built-in date, currency and uppercase helpers
+     * @private
+     */
+    _templateHelper(name, options) {
+        const helpers = options.helpers || {};
+        if (Object.prototype.hasOwnProperty.call(helpers, name)) return helpers[name];
+        if (this.helpers.has(name)) return this.helpers.get(name);
+
+        const numberFormat = options.numberFormat !== undefined ? options.numberFormat : this.options.numberFormat;
+        const locale = typeof numberFormat === 'string' ? numberFormat : DEFAULT_NUMBER_LOCALE;
+        switch (name) {
+            case 'date':
+                return (value, style = 'long') => this._formatDate(this._toDate(value, 'date', 'INVALID_INPUT'), style, locale);
+            case 'currency':
+                // Without registered fonts the output can only use WinAnsi symbols
+                return (value, currency = options.currency) =>
+                    this._formatNumber(String(value), 'amount', locale, currency || null, '', this.fonts.size === 0 ? 'F1' : null);
+            case 'uppercase':
+                return (value) => (value === null || value === undefined ? '' : String(value).toUpperCase());
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Evaluate a value tag. A tag with arguments is a helper call; a bare
+     * name is looked up in the data first, so fields named like a helper
+     * (`date`, `currency`) keep their values, and only names the data does
+     * not have call a helper.
+     * @private
+     */
+    _templateValue(node, scope, options) {
+        if (node.args.length > 0) {
+            return this._callTemplateHelper(node, scope, options);
+        }
+
+        const value = this._lookupTemplateValue(node.name, scope);
+        if (value === undefined && !node.name.startsWith('@') && this._templateHelper(node.name, options)) {
+            return this._callTemplateHelper(node, scope, options);
+        }
+        return value;
+    }
+
+    /**
+     * Call the helper named by a value tag with its evaluated arguments
+     * @private
+     */
+    _callTemplateHelper(node, scope, options) {
+        const helper = this._templateHelper(node.name, options);
+        if (typeof helper !== 'function') {
+            throw this._error('INVALID_INPUT', `Template error: unknown helper "${node.name}"`);
+        }
+        return helper(...node.args.map(arg => this._templateArgument(arg, scope)));
+    }
+
+    /**
+     * Evaluate a helper or block argument
+     * @private
+     */
+    _templateArgument(arg, scope) {
+        return arg.path !== undefined ? this._lookupTemplateValue(arg.path, scope) : arg.literal;
+    }
+
+    /**
+     * Resolve a path such as `name`, `customer.address.city`, `this`,
+     * `@index` or `../total`. The first segment is looked up in the current
+     * context, then in each enclosing one.
+     * @private
+     */
+    _lookupTemplateValue(path, scope) {
+        while (path.startsWith('../')) {
+            scope = scope.parent || scope;
+            path = path.substring(3);
+        }
+
+        if (path.startsWith('@')) {
+            for (let current = scope; current; current = current.parent) {
+                if (path.substring(1) in current.vars) return current.vars[path.substring(1)];
+            }
+            return undefined;
+        }
+
+        const segments = path.split('.');
+        let value;
+        if (segments[0] === 'this') {
+            value = scope.context;
+            segments.shift();
+        } else {
+            let current = scope;
+            while (current && !(current.context !== null && typeof current.context === 'object' && segments[0] in current.context)) {
+                current = current.parent;
+            }
+            if (!current) return undefined;
+            value = current.context;
+        }
+
+        for (const segment of segments) {
+            if (value === null || value === undefined) return undefined;
+            value = value[segment];
+        }
+        return value;
+    }
+
+    /**
+     * Load every distinct <img> source in the document, keyed by src.
+     * Sources may be data URIs or file paths resolved against `baseDir`
+     * (and confined to it unless `allowExternalFiles` is set);
+     * images that cannot be loaded are left out and skipped at extraction.
+     * Sources already in `images` are reused.
+     * @private
+     */
+    async _loadImages(document, options, images = new Map()) {
+        const sources = new Set();
+        const collect = (node) => {
+            for (const child of node.children) {
+                if (child.type !== 'element' || NON_RENDERED_ELEMENTS.has(child.tagName) || this._isHidden(child)) {
+                    continue;
+                }
+                if (child.tagName === 'img' && child.attributes.src) {
+                    sources.add(child.attributes.src);
+                }
+                collect(child);
+            }
+        };
+        collect(document);
+
+        const baseDir = options.baseDir || this.options.baseDir || process.cwd();
+        const allowExternalFiles = (options.allowExternalFiles !== undefined
+            ? options.allowExternalFiles
+            : this.options.allowExternalFiles) === true;
+
+        for (const src of sources) {
+            if (images.has(src)) continue;
+
+            try {
+                const data = await this._readImageSource(src, baseDir, allowExternalFiles);
+                const image = this._decodeImage(data);
+                image.name = `Im${images.size + 1}`;
+                images.set(src, image);
+                this._log(`Loaded image ${image.name}: ${image.width}x${image.height} ${image.colorSpace}`, 'debug');
+            } catch (error) {
+                this._log(`Could not load image ${src.substring(0, 80)}: ${error.message}`, 'warn');
+            }
+        }
+
+        return images;
+    }
+
+    /**
+     * Read the raw bytes behind an image src. File paths, `file://` URLs
+     * included, are resolved against baseDir and must stay inside it,
+     * symlinks followed, unless allowExternalFiles is set
+     * @private
+     */
+    async _readImageSource(src, baseDir, allowExternalFiles = false) {
+        const dataUri = src.match(/^data:([^,]*?)(;base64)?,(.*)$/is);
+        if (dataUri) {
+            return dataUri[2]
+                ? Buffer.from(dataUri[3].replace(/\s+/g, ''), 'base64')
+                : Buffer.from(decodeURIComponent(dataUri[3]), 'latin1');
+        }
+
+        if (/^https?:\/\//i.test(src)) {
+            throw this._error('IMAGE', 'Remote images are not supported');
+        }
+
+        const filePath = path.resolve(baseDir, decodeURIComponent(src.replace(/^file:\/\//i, '')));
+        if (!allowExternalFiles) {
+            const [realBase, realPath] = await Promise.all([fs.realpath(baseDir), fs.realpath(filePath)]);
+            const relative = path.relative(realBase, realPath);
+            if (relative === '' || relative === '..' || relative.startsWith('..' + path.sep) || path.isAbsolute(relative)) {
+                throw this._error('IMAGE', `Image path is outside baseDir: ${filePath}`);
+            }
+        }
+        return fs.readFile(filePath);
+    }
+
+    /**
+     * Decode image bytes into the fields of a PDF image XObject,
+     * recognising the format from its signature
+     * @private
+     */
+    _decodeImage(data) {
+        if (data.length > 3 && data[0] === 0xFF && data[1] === 0xD8 && data[2] === 0xFF) {
+            return this._decodeJPEG(data);
+        }
+        if (data.length > 8 && data.readUInt32BE(0) === 0x89504E47 && data.readUInt32BE(4) === 0x0D0A1A0A) {
+            return this._decodePNG(data);
+        }
+        throw this._error('IMAGE', 'Unsupported image format (expected PNG or JPEG)');
+    }
+
+    /**
+     * Read the dimensions and color space of a JPEG; the data itself is
+     * embedded unchanged with DCTDecode
+     * @private
+     */
+    _decodeJPEG(data) {
+        let adobe = false;
+        let offset = 2;
+
+        while (offset + 4 <= data.length) {
+            if (data[offset] !== 0xFF) {
+                throw this._error('IMAGE', 'Malformed JPEG marker');
+            }
+            const marker = data[offset + 1];
+            if (marker === 0xFF) {
+                offset++;
+                continue;
+            }
+            const length = data.readUInt16BE(offset + 2);
+
+            // APP14 "Adobe" segments mean CMYK data is stored inverted
+            if (marker === 0xEE && data.toString('latin1', offset + 4, offset + 9) === 'Adobe') {
+                adobe = true;
+            }
+
+            // Start-of-frame markers, excluding DHT (C4), JPG (C8) and DAC (CC)
+            if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+                const height = data.readUInt16BE(offset + 5);
+                const width = data.readUInt16BE(offset + 7);
+                const components = data[offset + 9];
+                const colorSpace = { 1: 'DeviceGray', 3: 'DeviceRGB', 4: 'DeviceCMYK' }[components];
+                if (!colorSpace) {
+                    throw this._error('IMAGE', `Unsupported JPEG with ${components} components`);
+                }
+
+                return {
+                    width,
+                    height,
+                    colorSpace,
+                    bitsPerComponent: 8,
+                    filter: 'DCTDecode',
+                    decode: components === 4 && adobe ? [1, 0, 1, 0, 1, 0, 1, 0] : null,
+                    data
+                };
+            }
+
+            offset += 2 + length;
+        }
+
+        throw this._error('IMAGE', 'JPEG has no frame header');
+    }
+
+    /**
+     * Decode a PNG into 8-bit color samples and an optional alpha soft mask,
+     * both deflated for embedding with FlateDecode
+     * @private
+     */
+    _decodePNG(data) {
+        let header = null;
+        let palette = null;
+        let transparency = null;
+        const idat = [];
+
+        for (let offset = 8; offset + 8 <= data.length;) {
+            const length = data.readUInt32BE(offset);
+            const type = data.toString('latin1', offset + 4, offset + 8);
+            const chunk = data.subarray(offset + 8, offset + 8 + length);
+            offset += 12 + length;
+
+            if (type === 'IHDR') {
+                header = {
+                    width: chunk.readUInt32BE(0),
+                    height: chunk.readUInt32BE(4),
+                    bitDepth: chunk[8],
+                    colorType: chunk[9],
+                    interlace: chunk[12]
+                };
+            } else if (type === 'PLTE') {
+                palette = chunk;
+            } else if (type === 'tRNS') {
+                transparency = chunk;
+            } else if (type === 'IDAT') {
+                idat.push(chunk);
+            } else if (type === 'IEND') {
+                break;
+            }
+        }
+
+        if (!header || idat.length === 0) {
+            throw this._error('IMAGE', 'PNG is missing image data');
+        }
+        if (header.interlace) {
+            throw this._error('IMAGE', 'Interlaced PNG images are not supported');
+        }
+
+        const { width, height, bitDepth, colorType } = header;
+        const channels = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 }[colorType];
+        if (!channels || (colorType === 3 && !palette)) {
+            throw this._error('IMAGE', `Unsupported PNG color type ${colorType}`);
+        }
+
+        // Undo the per-row filters
+        const raw = zlib.inflateSync(Buffer.concat(idat));
+        const bytesPerPixel = Math.max(1, (channels * bitDepth) >> 3);
+        const stride = Math.ceil(width * channels * bitDepth / 8);
+        const pixels = Buffer.alloc(stride * height);
+        for (let y = 0; y < height; y++) {
+            const filter = raw[y * (stride + 1)];
+            const source = y * (stride + 1) + 1;
+            const row = y * stride;
+            for (let x = 0; x < stride; x++) {
+                const left = x >= bytesPerPixel ? pixels[row + x - bytesPerPixel] : 0;
+                const up = y > 0 ? pixels[row - stride + x] : 0;
+                const upLeft = y > 0 && x >= bytesPerPixel ? pixels[row - stride + x - bytesPerPixel] : 0;
+                let predictor = 0;
+                if (filter === 1) {
+                    predictor = left;
+                } else if (filter === 2) {
+                    predictor = up;
+                } else if (filter === 3) {
+                    predictor = (left + up) >> 1;
+                } else if (filter === 4) {
+                    const p = left + up - upLeft;
+                    const pa = Math.abs(p - left);
+                    const pb = Math.abs(p - up);
+                    const pc = Math.abs(p - upLeft);
+                    predictor = pa <= pb && pa <= pc ? left : (pb <= pc ? up : upLeft);
+                }
+                pixels[row + x] = (raw[source + x] + predictor) & 0xFF;
+            }
+        }
+
+        // Read one sample, scaling low and high bit depths to 8 bits (palette indices stay as-is)
+        const maxSample = (1 << bitDepth) - 1;
+        const sample = (y, index) => {
+            const row = y * stride;
+            if (bitDepth === 8) return pixels[row + index];
+            if (bitDepth === 16) return pixels[row + index * 2];
+            const bit = index * bitDepth;
+            const value = (pixels[row + (bit >> 3)] >> (8 - bitDepth - (bit & 7))) & maxSample;
+            return colorType === 3 ? value : Math.round(value * 255 / maxSample);
+        };
+        const rawSample = (y, index) => {
+            if (bitDepth === 16) return pixels.readUInt16BE(y * stride + index * 2);
+            if (bitDepth === 8) return pixels[y * stride + index];
+            const bit = index * bitDepth;
+            return (pixels[y * stride + (bit >> 3)] >> (8 - bitDepth - (bit & 7))) & maxSample;
+        };
+
+        const colorChannels = colorType === 0 || colorType === 4 ? 1 : 3;
+        const color = Buffer.alloc(width * height * colorChannels);
+        const alpha = Buffer.alloc(width * height, 255);
+        let translucent = false;
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const pixel = y * width + x;
+                const base = x * channels;
+
+                if (colorType === 3) {
+                    const index = sample(y, x);
+                    palette.copy(color, pixel * 3, index * 3, index * 3 + 3);
+                    if (transparency && index < transparency.length) {
+                        alpha[pixel] = transparency[index];
+                    }
+                } else {
+                    for (let c = 0; c < colorChannels; c++) {
+                        color[pixel * colorChannels + c] = sample(y, base + c);
+                    }
+                    if (channels === 2 || channels === 4) {
+                        alpha[pixel] = sample(y, base + channels - 1);
+                    } else if (transparency) {
+                        // tRNS names a single fully transparent color, compared at the original depth
+                        let match = true;
+                        for (let c = 0; c < colorChannels; c++) {
+                            if (rawSample(y, base + c) !== transparency.readUInt16BE(c * 2)) match = false;
+                        }
+                        if (match) alpha[pixel] = 0;
+                    }
+                }
+
+                if (alpha[pixel] !== 255) translucent = true;
+            }
+        }
+
+        return {
+            width,
+            height,
+            colorSpace: colorChannels === 1 ? 'DeviceGray' : 'DeviceRGB',
+            bitsPerComponent: 8,
+            filter: 'FlateDecode',
+            data: zlib.deflateSync(color),
+            smask: translucent ? zlib.deflateSync(alpha) : null
+        };
+    }
+
+    /**
+     * Read and parse registered fonts that have not been loaded yet
+     * @private
+     */
+    async _loadFonts() {
+        for (const entry of this.fonts.values()) {
+            if (entry.metrics) continue;
+
+            try {
+                const data = Buffer.isBuffer(entry.source)
+                    ? entry.source
+                    : await fs.readFile(path.resolve(entry.source));
+                entry.metrics = this._parseTrueType(data);
+                this._log(`Loaded font ${entry.family} as ${entry.name}: ${entry.metrics.numGlyphs} glyphs`, 'debug');
+            } catch (error) {
+                throw this._error('FONT', `Failed to load font "${entry.family}": ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Parse the tables of a TrueType font needed for measuring, encoding
+     * and embedding text
+     * @private
+     */
+    _parseTrueType(data) {
+        const version = data.toString('latin1', 0, 4);
+        if (version === 'OTTO') {
+            throw this._error('FONT', 'OpenType fonts with CFF outlines are not supported; use TrueType outlines');
+        }
+        if (version === 'ttcf') {
+            throw this._error('FONT', 'Font collections are not supported');
+        }
+        if (data.readUInt32BE(0) !== 0x00010000 && version !== 'true') {
+            throw this._error('FONT', 'Not a TrueType font');
+        }
+
+        const tables = {};
+        const numTables = data.readUInt16BE(4);
+        for (let i = 0; i < numTables; i++) {
+            const record = 12 + i * 16;
+            const tag = data.toString('latin1', record, record + 4);
+            const offset = data.readUInt32BE(record + 8);
+            tables[tag] = data.subarray(offset, offset + data.readUInt32BE(record + 12));
+        }
+        for (const tag of ['head', 'hhea', 'hmtx', 'maxp', 'cmap', 'loca', 'glyf']) {
+            if (!tables[tag]) {
+                throw this._error('FONT', `Font is missing the ${tag} table`);
+            }
+        }
+
+        const head = tables.head;
+        const unitsPerEm = head.readUInt16BE(18);
+        const numGlyphs = tables.maxp.readUInt16BE(4);
+        const numberOfHMetrics = tables.hhea.readUInt16BE(34);
+        const advanceWidths = [];
+        for (let i = 0; i < numberOfHMetrics; i++) {
+            advanceWidths.push(tables.hmtx.readUInt16BE(i * 4));
+        }
+
+        const longOffsets = head.readInt16BE(50) === 1;
+        const glyphOffsets = [];
+        for (let i = 0; i <= numGlyphs; i++) {
+            glyphOffsets.push(longOffsets ? tables.loca.readUInt32BE(i * 4) : tables.loca.readUInt16BE(i * 2) * 2);
+        }
+
+        const os2 = tables['OS/2'];
+        const post = tables.post;
+        const scale = 1000 / unitsPerEm;
+        const italicAngle = post ? post.readInt16BE(4) + post.readUInt16BE(6) / 65536 : 0;
+
+        return {
+            postScriptName: this._readFontName(tables.name) || 'EmbeddedFont',
+            unitsPerEm,
+            numGlyphs,
+            advanceWidths,
+            cmap: this._parseCmap(tables.cmap),
+            tables,
+            glyphOffsets,
+            bbox: [36, 38, 40, 42].map(offset => Math.round(head.readInt16BE(offset) * scale)),
+            ascent: Math.round(tables.hhea.readInt16BE(4) * scale),
+            descent: Math.round(tables.hhea.readInt16BE(6) * scale),
+            capHeight: Math.round((os2 && os2.length >= 90 ? os2.readInt16BE(88) : tables.hhea.readInt16BE(4)) * scale),
+            italicAngle: Math.round(italicAngle * 100) / 100,
+            fixedPitch: !!(post && post.readUInt32BE(12))
+        };
+    }
+
+    /**
+     * Read the PostScript name (name id 6) of a font, reduced to the
+     * characters allowed in a PDF name
+     * @private
+     */
+    _readFontName(table) {
+        if (!table) return null;
+
+        const count = table.readUInt16BE(2);
+        const stringOffset = table.readUInt16BE(4);
+        for (let i = 0; i < count; i++) {
+            const record = 6 + i * 12;
+            if (table.readUInt16BE(record + 6) !== 6) continue;
+
+            const platform = table.readUInt16BE(record);
+            const start = stringOffset + table.readUInt16BE(record + 10);
+            const bytes = table.subarray(start, start + table.readUInt16BE(record + 8));
+            const name = platform === 3 || platform === 0
+                ? Buffer.from(bytes).swap16().toString('utf16le')
+                : bytes.toString('latin1');
+            const cleaned = name.replace(/[^A-Za-z0-9-]/g, '');
+            if (cleaned) return cleaned;
+        }
+        return null;
+    }
+
+    /**
+     * Build a code point to glyph id map from the best Unicode cmap
+     * subtable (format 12 for full Unicode, otherwise format 4)
+     * @private
+     */
+    _parseCmap(table) {
+        const subtables = [];
+        for (let i = 0; i < table.readUInt16BE(2); i++) {
+            const record = 4 + i * 8;
+            const platform = table.readUInt16BE(record);
+            const encoding = table.readUInt16BE(record + 2);
+            const offset = table.readUInt32BE(record + 4);
+            if (platform === 0 || (platform === 3 && (encoding === 1 || encoding === 10))) {
+                subtables.push({ offset, format: table.readUInt16BE(offset) });
+            }
+        }
+
+        const map = new Map();
+        const subtable = subtables.find(entry => entry.format === 12) || subtables.find(entry => entry.format === 4);
+        if (!subtable) {
+            throw this._error('FONT', 'Font has no Unicode cmap');
+        }
+
+        const offset = subtable.offset;
+        if (subtable.format === 12) {
+            const groups = table.readUInt32BE(offset + 12);
+            for (let i = 0; i < groups; i++) {
+                const group = offset + 16 + i * 12;
+                const start = table.readUInt32BE(group);
+                const end = table.readUInt32BE(group + 4);
+                const glyph = table.readUInt32BE(group + 8);
+                for (let code = start; code <= end; code++) {
+                    map.set(code, glyph + code - start);
+                }
+            }
+            return map;
+        }
+
+        const segments = table.readUInt16BE(offset + 6) / 2;
+        const endCodes = offset + 14;
+        const startCodes = endCodes + segments * 2 + 2;
+        const deltas = startCodes + segments * 2;
+        const rangeOffsets = deltas + segments * 2;
+        for (let i = 0; i < segments; i++) {
+            const start = table.readUInt16BE(startCodes + i * 2);
+            const end = table.readUInt16BE(endCodes + i * 2);
+            const delta = table.readInt16BE(deltas + i * 2);
+            const rangeOffset = table.readUInt16BE(rangeOffsets + i * 2);
+
+            for (let code = start; code <= end && code !== 0xFFFF; code++) {
+                let glyph;
+                if (rangeOffset === 0) {
+                    glyph = (code + delta) & 0xFFFF;
+                } else {
+                    // idRangeOffset is relative to its own position in the table
+                    const glyphIndex = rangeOffsets + i * 2 + rangeOffset + (code - start) * 2;
+                    glyph = table.readUInt16BE(glyphIndex);
+                    if (glyph !== 0) glyph = (glyph + delta) & 0xFFFF;
+                }
+                if (glyph !== 0) map.set(code, glyph);
+            }
+        }
+        return map;
+    }
+
+    /**
+     * Merge per-call options over the defaults, resolve the page size
+     * and normalize margins to points
+     * @private
+     */
+    _resolveOptions(options) {
+        const pdfOptions = {
+            title: 'Document',
+            margin: { top: 72, right: 72, bottom: 72, left: 72 },
+            ...options
+        };
+
+        // Explicit pageWidth/pageHeight win over a named format
+        if (!(options.pageWidth && options.pageHeight)) {
+            const [width, height] = this._resolvePageSize(
+                options.pageFormat || this.options.pageFormat || 'LETTER',
+                options.orientation || this.options.orientation || 'portrait'
+            );
+            pdfOptions.pageWidth = options.pageWidth || width;
+            pdfOptions.pageHeight = options.pageHeight || height;
+        }
+
+        // A single value applies the same margin to every side
+        const margin = pdfOptions.margin;
+        const sides = (margin !== null && typeof margin === 'object')
+            ? { top: 72, right: 72, bottom: 72, left: 72, ...margin }
+            : { top: margin, right: margin, bottom: margin, left: margin };
+
+        pdfOptions.margin = {};
+        for (const side of ['top', 'right', 'bottom', 'left']) {
+            pdfOptions.margin[side] = this._toPoints(sides[side], `margin.${side}`);
+        }
+
+        // Per-call compression settings override the constructor's
+        pdfOptions.compress = (options.compress !== undefined ? options.compress : this.options.compress) !== false;
+        pdfOptions.objectStreams = Boolean(options.objectStreams !== undefined ? options.objectStreams : this.options.objectStreams);
+
+        // Numbers in unmarked text are grouped for a locale or by a formatter
+        // function only when one is set; the per-call setting overrides the
+        // constructor's
+        const numberFormat = options.numberFormat !== undefined ? options.numberFormat : this.options.numberFormat;
+        pdfOptions.numberFormat = numberFormat;
+        if (typeof numberFormat === 'string') {
+            try {
+                new Intl.NumberFormat(numberFormat);
+            } catch (error) {
+                throw this._error('INVALID_OPTION', `Invalid numberFormat locale "${numberFormat}"`);
+            }
+        } else if (numberFormat !== undefined && numberFormat !== false && typeof numberFormat !== 'function') {
+            throw this._error('INVALID_OPTION', 'Invalid numberFormat option, expected false, a locale string or a function');
+        }
+
+        // Metadata dates default to the time of generation
+        pdfOptions.creationDate = this._toDate(options.creationDate || new Date(), 'creationDate');
+        pdfOptions.modificationDate = this._toDate(options.modificationDate || pdfOptions.creationDate, 'modificationDate');
+        pdfOptions.producer = options.producer || PRODUCER;
+        if (Array.isArray(options.keywords)) {
+            pdfOptions.keywords = options.keywords.join(', ');
+        }
+        for (const field of Object.keys(INFO_FIELDS)) {
+            if (pdfOptions[field] !== undefined && pdfOptions[field] !== null) {
+                pdfOptions[field] = String(pdfOptions[field]);
+            }
+        }
+
+        // true, or { depth, title } to adjust the table of contents
+        if (options.tableOfContents) {
+            const settings = options.tableOfContents === true ? {} : options.tableOfContents;
+            if (typeof settings !== 'object') {
+                throw this._error('INVALID_OPTION', 'Invalid tableOfContents option, expected true or an object of settings');
+            }
+            const depth = settings.depth !== undefined ? Number(settings.depth) : TOC_DEPTH;
+            if (!Number.isInteger(depth) || depth < 1 || depth > 6) {
+                throw this._error('INVALID_OPTION', `Invalid tableOfContents depth ${settings.depth}, expected 1 to 6`);
+            }
+            pdfOptions.tableOfContents = {
+                depth,
+                title: settings.title !== undefined ? settings.title : 'Contents'
+            };
+        }
+
+        for (const position of ['header', 'footer']) {
+            const value = pdfOptions[position];
+            if (value !== undefined && value !== null && !['string', 'function', 'object'].includes(typeof value)) {
+                throw this._error('INVALID_OPTION', `Invalid ${position} option, expected an HTML string, a function or an object of page variants`);
+            }
+        }
+
+        this._log(`Page size: ${pdfOptions.pageWidth}x${pdfOptions.pageHeight}pt`, 'debug');
+        return pdfOptions;
+    }
+
+    /**
+     * Look up a named page format and apply the orientation
+     * @private
+     */
+    _resolvePageSize(pageFormat, orientation) {
+        const size = PAGE_FORMATS[String(pageFormat).toUpperCase()];
+        if (!size) {
+            throw this._error('INVALID_OPTION', `Unsupported page format "${pageFormat}". Supported formats: ${Object.keys(PAGE_FORMATS).join(', ')}`);
+        }
+
+        if (orientation !== 'portrait' && orientation !== 'landscape') {
+            throw this._error('INVALID_OPTION', `Unsupported orientation "${orientation}", expected 'portrait' or 'landscape'`);
+        }
+
+        const [width, height] = size;
+        return orientation === 'landscape' ? [height, width] : [width, height];
+    }
+
+    /**
+     * Convert a length such as 72, '20mm', '1in', '2.5cm' or '10px' to points
+     * @private
+     */
+    _toPoints(value, name) {
+        if (typeof value === 'number' && isFinite(value)) {
+            return value;
+        }
+
+        const match = /^\s*(-?\d*\.?\d+)\s*(pt|mm|cm|in|px)?\s*$/i.exec(String(value));
+        if (!match) {
+            throw this._error('INVALID_OPTION', `Invalid ${name} value "${value}", expected a number or a length in pt, mm, cm, in or px`);
+        }
+
+        // Round to hundredths of a point to keep content streams compact
+        const points = parseFloat(match[1]) * UNIT_TO_POINTS[(match[2] || 'pt').toLowerCase()];
+        return Math.round(points * 100) / 100;
+    }
+
+    /**
+     * Convert plain text into content items, one paragraph per source line
+     * @private
+     */
+    _extractPlainTextContent(text, options) {
+        const content = [];
+        const fontSize = options.fontSize || 12;
+        const lineHeight = fontSize * 1.5;
+        const spaceWidth = this._measureText(' ', 'F1', fontSize);
+        let blankLines = 0;
+
+        const lines = text.replace(/\r\n?/g, '\n').split('\n');
+
+        for (const rawLine of lines) {
+            // Expand tabs so indentation is measured consistently
+            const line = rawLine.replace(/\t/g, '    ').replace(/\s+$/, '');
+
+            if (!line) {
+                blankLines++;
+                continue;
+            }
+
+            const leadingSpaces = line.length - line.trimStart().length;
+
+            content.push({
+                text: line.trim(),
+                type: 'paragraph',
+                fontSize: fontSize,
+                color: options.color || '#000000',
+                indent: leadingSpaces * spaceWidth,
+                // Each blank line in the source becomes one line of vertical space
+                marginTop: content.length > 0 ? blankLines * lineHeight : 0,
+                marginBottom: 0
+            });
+            blankLines = 0;
+        }
+
+        this._log(`Extracted ${content.length} text lines`, 'debug');
+        return content;
+    }
+
+    /**
+     * Extract text content from HTML with proper structure preservation
+     * @private
+     */
+    _extractTextContent(document, resources = {}) {
+        const content = [];
+
+        // Everything outside <body> (title, style, meta) is not rendered
+        const body = this._findElement(document, 'body') || document;
+
+        this._log(`Processing HTML body with ${body.children.length} top-level nodes`, 'debug');
+
+        this._extractBlockContent(body, content, { indent: 0, listDepth: 0, images: resources.images || new Map() });
+
+        this._log(`Extracted ${content.length} content elements`, 'debug');
+
+        if (content.length === 0) {
+            this._log(`WARNING: No content extracted from HTML. Check the HTML structure.`, 'warn');
+        }
+
+        return content;
+    }
+
+    /**
+     * Walk the children of a block element, emitting block children as
+     * their own items and gathering runs of inline content into paragraphs.
+     * The context carries the list indentation and a pending list marker,
+     * which is taken by the first text item emitted inside a list item.
+     * @private
+     */
+    _extractBlockContent(node, content, context = { indent: 0, listDepth: 0, images: new Map() }) {
+        let inlineNodes = [];
+
+        const flushInline = () => {
+            if (inlineNodes.length === 0) return;
+
+            // Bare text inherits font size and color from its containing block
+            const style = this._getStyle(node);
+            const imageNodes = [];
+            const runs = this._extractRuns(inlineNodes, {}, imageNodes);
+            const text = this._runsToText(runs);
+            this._extractAnchors(inlineNodes, content, true);
+            inlineNodes = [];
+
+            this._extractImages(imageNodes, content, context);
+
+            if (text) {
+                const fontSize = this._extractFontSize(style) || DEFAULT_FONT_SIZE;
+                content.push(this._takeListMarker({
+                    text: text,
+                    runs: runs,
+                    type: 'paragraph',
+                    fontSize: Math.round(fontSize * 0.85),
+                    color: this._extractColor(style) || '#2e2e2e',
+                    align: node.type === 'element' ? this._extractTextAlign(node) : null,
+                    indent: context.indent,
+                    marginTop: 0,
+                    marginBottom: 4
+                }, context));
+                this._log(`✓ Added anonymous paragraph from <${node.tagName || 'document'}>`, 'debug');
+            }
+        };
+
+        for (const child of node.children) {
+            if (child.type === 'text') {
+                inlineNodes.push(child);
+                continue;
+            }
+            if (child.type !== 'element' || NON_RENDERED_ELEMENTS.has(child.tagName)) {
+                continue;
+            }
+
+            // Hidden elements are dropped together with their whole subtree
+            if (this._isHidden(child)) {
+                this.statistics.elementsDropped.hidden++;
+                this._log(`✗ Skipping hidden element: ${child.tagName}`, 'debug');
+                continue;
+            }
+
+            if (BLOCK_ELEMENTS.has(child.tagName)) {
+                flushInline();
+                this._extractBlockElement(child, content, context);
+            } else {
+                inlineNodes.push(child);
+            }
+        }
+
+        flushInline();
+    }
+
+    /**
+     * Convert a single block element into content items
+     * @private
+     */
+    _extractBlockElement(node, content, context) {
+        const tag = node.tagName;
+        const style = this._getStyle(node);
+
+        this._log(`\n--- Processing Element ---`, 'debug');
+        this._log(`Tag: ${tag}`, 'debug');
+        this._log(`Style: "${style}"`, 'debug');
+
+        // Ids of paragraphs and headings include those of the inline elements inside them
+        this._extractAnchors([node], content, tag === 'p' || /^h[1-6]$/.test(tag));
+
+        // Padding, borders and backgrounds wrap the element's items in a box
+        const box = tag !== 'hr' && tag !== 'table' ? this._extractBox(style) : null;
+        const firstItem = content.length + 1;
+        if (box) {
+            content.push({ type: 'boxStart', box, indent: context.indent });
+        }
+
+        if (tag === 'hr') {
+            const marginTop = this._extractMargin(style, 'top');
+            const marginBottom = this._extractMargin(style, 'bottom');
+
+            this._log(`HR margins extracted - top: ${marginTop}, bottom: ${marginBottom}`, 'debug');
+
+            content.push({
+                type: 'line',
+                indent: context.indent,
+                marginTop: marginTop !== null ? marginTop : 12,
+                marginBottom: marginBottom !== null ? marginBottom : 12
+            });
+            this._log(`✓ Added HR with margins - top: ${marginTop !== null ? marginTop : 12}, bottom: ${marginBottom !== null ? marginBottom : 12}`, 'debug');
+        }
+        else if (/^h[1-6]$/.test(tag)) {
+            const imageNodes = [];
+            const runs = this._extractRuns(node.children, { bold: true }, imageNodes);
+            const text = this._runsToText(runs);
+            const fontSize = this._extractFontSize(style) || 18;
+            const color = this._extractColor(style) || '#2e2e2e';
+            const marginTop = this._extractMargin(style, 'top');
+            const marginBottom = this._extractMargin(style, 'bottom');
+
+            this._log(`Heading margins - top: ${marginTop}, bottom: ${marginBottom}`, 'debug');
+
+            this._extractImages(imageNodes, content, context);
+
+            if (text) {
+                content.push({
+                    text: text,
+                    runs: runs,
+                    type: 'heading',
+                    level: Number(tag[1]),
+                    id: node.attributes.id || null,
+                    fontSize: Math.round(fontSize * 0.85),
+                    color: color,
+                    align: this._extractTextAlign(node),
+                    indent: context.indent,
+                    marginTop: marginTop !== null ? marginTop : 18,
+                    marginBottom: marginBottom !== null ? marginBottom : 12
+                });
+                this._log(`✓ Added heading with margins - top: ${marginTop !== null ? marginTop : 18}, bottom: ${marginBottom !== null ? marginBottom : 12}`, 'debug');
+            }
+        }
+        else if (tag === 'p') {
+            const imageNodes = [];
+            const runs = this._extractRuns(node.children, {}, imageNodes);
+            const text = this._runsToText(runs);
+            const fontSize = this._extractFontSize(style) || DEFAULT_FONT_SIZE;
+            const color = this._extractColor(style) || '#2e2e2e';
+            const marginTop = this._extractMargin(style, 'top');
+            const marginBottom = this._extractMargin(style, 'bottom');
+
+            this._log(`Paragraph margins - top: ${marginTop}, bottom: ${marginBottom}`, 'debug');
+
+            this._extractImages(imageNodes, content, context);
+
+            if (text) {
+                content.push(this._takeListMarker({
+                    text: text,
+                    runs: runs,
+                    type: 'paragraph',
+                    fontSize: Math.round(fontSize * 0.85),
+                    color: color,
+                    align: this._extractTextAlign(node),
+                    indent: context.indent,
+                    marginTop: marginTop !== null ? marginTop : 0,
+                    marginBottom: marginBottom !== null ? marginBottom : 4
+                }, context));
+                this._log(`✓ Added paragraph with margins - top: ${marginTop !== null ? marginTop : 0}, bottom: ${marginBottom !== null ? marginBottom : 4}`, 'debug');
+            }
+        }
+        else if (tag === 'table') {
+            this._extractTable(node, content, context);
+        }
+        else if (tag === 'ul' || tag === 'ol') {
+            this._extractList(node, content, context);
+        }
+        else if (tag === 'toc') {
+            const marginTop = this._extractMargin(style, 'top');
+            const marginBottom = this._extractMargin(style, 'bottom');
+            const depth = parseInt(node.attributes.depth);
+
+            content.push(this._createTableOfContents({
+                depth: depth >= 1 && depth <= 6 ? depth : TOC_DEPTH,
+                title: node.attributes.title || null,
+                fontSize: Math.round((this._extractFontSize(style) || DEFAULT_FONT_SIZE) * 0.85),
+                color: this._extractColor(style) || '#2e2e2e',
+                fontFamily: this._extractFontFamily(style),
+                indent: context.indent,
+                marginTop: marginTop !== null ? marginTop : 0,
+                marginBottom: marginBottom !== null ? marginBottom : 12
+            }));
+
+            // Content inside an unclosed <toc> still renders after it
+            this._extractBlockContent(node, content, context);
+        }
+        else {
+            // Generic containers (div, section, ...) contribute their children
+            this._extractBlockContent(node, content, context);
+        }
+
+        if (box) {
+            // A paragraph's or heading's own margins belong outside its box
+            if (tag === 'p' || /^h[1-6]$/.test(tag)) {
+                for (const item of content.slice(firstItem)) {
+                    if (item.type !== 'paragraph' && item.type !== 'heading') continue;
+                    box.marginTop = item.marginTop;
+                    box.marginBottom = item.marginBottom;
+                    item.marginTop = 0;
+                    item.marginBottom = 0;
+                }
+            }
+            content.push({ type: 'boxEnd', box });
+            this._log(`✓ Added box around <${tag}>`, 'debug');
+        }
+    }
+
+    /**
+     * Create a table of contents item. Its entries are filled in once the
+     * whole document has been extracted, by _fillTablesOfContents.
+     * @private
+     */
+    _createTableOfContents(settings) {
+        return {
+            type: 'toc',
+            depth: TOC_DEPTH,
+            title: null,
+            fontSize: Math.round(DEFAULT_FONT_SIZE * 0.85),
+            color: '#2e2e2e',
+            fontFamily: null,
+            indent: 0,
+            marginTop: 0,
+            marginBottom: 12,
+            ...settings,
+            entries: []
+        };
+    }
+
+    /**
+     * List the document's headings in every table of contents, adding one
+     * at the start of the document for the tableOfContents option when the
+     * HTML has no <toc> element
+     * @private
+     */
+    _fillTablesOfContents(content, options) {
+        let tables = content.filter(item => item.type === 'toc');
+        if (tables.length === 0 && options.tableOfContents) {
+            tables = [this._createTableOfContents({ ...options.tableOfContents })];
+            content.unshift(tables[0]);
+        }
+
+        const headings = content.filter(item => item.type === 'heading');
+        for (const table of tables) {
+            table.entries = headings.filter(heading => heading.level <= table.depth);
+            this._log(`Table of contents lists ${table.entries.length} heading(s)`, 'debug');
+        }
+    }
+
+    /**
+     * Emit an anchor item for element ids and `<a name>` targets, which
+     * become named destinations at the position of the content that follows.
+     * With `deep`, the ids of descendants are included.
+     * @private
+     */
+    _extractAnchors(nodes, content, deep = false) {
+        const ids = [];
+        const visit = (node) => {
+            if (node.type !== 'element' || NON_RENDERED_ELEMENTS.has(node.tagName) || this._isHidden(node)) return;
+
+            const id = node.attributes.id || (node.tagName === 'a' ? node.attributes.name : null);
+            if (id && id.trim()) ids.push(id.trim());
+            if (deep) node.children.forEach(visit);
+        };
+        nodes.forEach(visit);
+
+        if (ids.length > 0) {
+            content.push({ type: 'anchor', ids });
+        }
+    }
+
+    /**
+     * Convert a <ul> or <ol> into list items with bullet or numbered
+     * markers, indenting nested lists one level further
+     * @private
+     */
+    _extractList(node, content, context) {
+        const ordered = node.tagName === 'ol';
+        const style = this._getStyle(node);
+        const depth = context.listDepth || 0;
+        const itemIndent = context.indent + LIST_INDENT;
+        const firstIndex = content.length;
+
+        // Bullets change shape with nesting depth, as in browsers
+        const listStyleType = this._extractListStyleType(style) ||
+            LIST_TYPE_ATTRIBUTES[node.attributes.type] ||
+            (ordered ? 'decimal' : UNORDERED_MARKERS[Math.min(depth, UNORDERED_MARKERS.length - 1)]);
+
+        const start = parseInt(node.attributes.start);
+        let counter = ordered && !isNaN(start) ? start : 1;
+
+        for (const child of node.children) {
+            if (child.type !== 'element') continue;
+            if (this._isHidden(child)) {
+                this.statistics.elementsDropped.hidden++;
+                continue;
+            }
+
+            const childContext = { indent: itemIndent, listDepth: depth + 1, images: context.images };
+
+            if (child.tagName === 'li') {
+                const value = parseInt(child.attributes.value);
+                if (!isNaN(value)) counter = value;
+
+                const itemStyleType = this._extractListStyleType(this._getStyle(child)) ||
+                    LIST_TYPE_ATTRIBUTES[child.attributes.type] ||
+                    listStyleType;
+                const marker = this._formatListMarker(itemStyleType, counter);
+                counter++;
+
+                childContext.marker = marker ? { ...marker, indent: itemIndent } : null;
+                this._extractAnchors([child], content);
+                this._extractBlockContent(child, content, childContext);
+            } else if (!NON_RENDERED_ELEMENTS.has(child.tagName)) {
+                // Lists nested directly inside a list (without an <li>) still indent
+                this._extractBlockElement(child, content, childContext);
+            }
+        }
+
+        // Only the outermost list gets spacing around it by default
+        const items = content.slice(firstIndex).filter(item => item.type !== 'anchor');
+        if (items.length > 0) {
+            const marginTop = this._extractMargin(style, 'top');
+            const marginBottom = this._extractMargin(style, 'bottom');
+            const first = items[0];
+            const last = items[items.length - 1];
+            first.marginTop = Math.max(first.marginTop || 0, marginTop !== null ? marginTop : (depth === 0 ? 4 : 0));
+            last.marginBottom = Math.max(last.marginBottom || 0, marginBottom !== null ? marginBottom : (depth === 0 ? 8 : 0));
+        }
+
+        this._log(`✓ Added ${ordered ? 'ordered' : 'unordered'} list (${listStyleType}) at depth ${depth}`, 'debug');
+    }
+
+    /**
+     * Emit image items for <img> elements, sized from their width/height
+     * attributes or styles and keeping the aspect ratio when only one is set
+     * @private
+     */
+    _extractImages(imageNodes, content, context) {
+        for (const node of imageNodes) {
+            const src = node.attributes.src;
+            const image = src ? context.images.get(src) : null;
+
+            if (!image) {
+                this.statistics.elementsDropped.invalid++;
+                this._log(`✗ Skipping image that could not be loaded: ${String(src).substring(0, 80)}`, 'warn');
+                continue;
+            }
+
+            const style = this._getStyle(node);
+            const fontSize = this._extractFontSize(style) || DEFAULT_FONT_SIZE;
+
+            // CSS wins over attributes; percentages are resolved at layout time
+            const width = this._resolveDimension(this._styleValue(style, 'width'), { fontSize }) ||
+                this._resolveDimension(node.attributes.width);
+            const height = this._resolveDimension(this._styleValue(style, 'height'), { fontSize }) ||
+                this._resolveDimension(node.attributes.height);
+            const marginTop = this._extractMargin(style, 'top');
+            const marginBottom = this._extractMargin(style, 'bottom');
+
+            content.push({
+                type: 'image',
+                text: node.attributes.alt || src.substring(0, 40),
+                image: image,
+                width: width,
+                // Percentage heights have no containing height to refer to
+                height: typeof height === 'number' ? height : null,
+                indent: context.indent,
+                marginTop: marginTop !== null ? marginTop : 0,
+                marginBottom: marginBottom !== null ? marginBottom : 4
+            });
+
+            this._log(`✓ Added image ${image.name} (${image.width}x${image.height}px)`, 'debug');
+        }
+    }
+
+    /**
+     * Give a paragraph the pending list marker from its context, turning it
+     * into a list item. Only the first paragraph of a list item gets one.
+     * @private
+     */
+    _takeListMarker(item, context) {
+        if (context.marker) {
+            item.type = 'listItem';
+            item.marker = context.marker;
+            context.marker = null;
+        }
+        return item;
+    }
+
+    /**
+     * Extract `list-style-type` (or the type from a `list-style` shorthand)
+     * @private
+     */
+    _extractListStyleType(style) {
+        if (!style) return null;
+
+        const match = style.match(/list-style(?:-type)?\s*:\s*([^;]+)/i);
+        if (!match) return null;
+
+        const type = match[1].trim().split(/\s+/).find(value => LIST_STYLE_TYPES.has(value.toLowerCase()));
+        return type ? type.toLowerCase() : null;
+    }
+
+    /**
+     * Build the marker for a list item: a bullet shape for disc/circle/square,
+     * or text such as `3.`, `c.` or `iii.` for ordered styles
+     * @private
+     */
+    _formatListMarker(type, number) {
+        switch (type) {
+            case 'none':
+                return null;
+            case 'disc':
+            case 'circle':
+            case 'square':
+                return { shape: type };
+            case 'decimal-leading-zero':
+                return { text: `${number < 10 && number >= 0 ? '0' : ''}${number}.` };
+            case 'lower-alpha':
+            case 'lower-latin':
+                return { text: `${this._toAlphabetic(number)}.` };
+            case 'upper-alpha':
+            case 'upper-latin':
+                return { text: `${this._toAlphabetic(number).toUpperCase()}.` };
+            case 'lower-roman':
+                return { text: `${this._toRoman(number).toLowerCase()}.` };
+            case 'upper-roman':
+                return { text: `${this._toRoman(number)}.` };
+            default:
+                return { text: `${number}.` };
+        }
+    }
+
+    /**
+     * Convert a number to a, b, ... z, aa, ab, ... (falls back to decimal below 1)
+     * @private
+     */
+    _toAlphabetic(number) {
+        if (number < 1) return String(number);
+
+        let result = '';
+        while (number > 0) {
+            number--;
+            result = String.fromCharCode(97 + (number % 26)) + result;
+            number = Math.floor(number / 26);
+        }
+        return result;
+    }
+
+    /**
+     * Convert a number to upper-case Roman numerals (falls back to decimal outside 1-3999)
+     * @private
+     */
+    _toRoman(number) {
+        if (number < 1 || number > 3999) return String(number);
+
+        const numerals = [
+            [1000, 'M'], [900, 'CM'], [500, 'D'], [400, 'CD'], [100, 'C'], [90, 'XC'],
+            [50, 'L'], [40, 'XL'], [10, 'X'], [9, 'IX'], [5, 'V'], [4, 'IV'], [1, 'I']
+        ];
+        let result = '';
+        for (const [value, numeral] of numerals) {
+            while (number >= value) {
+                result += numeral;
+                number -= value;
+            }
+        }
+        return result;
+    }
+
+    /**
+     * Convert a <table> into a table item with rows of styled cells.
+     * A <caption> is emitted as a paragraph above the table.
+     * @private
+     */
+    _extractTable(node, content, context) {
+        const style = this._getStyle(node);
+        const attributes = node.attributes;
+        const rows = [];
+
+        // Rows may sit directly in the table or in thead/tbody/tfoot sections
+        const sections = { thead: [], tbody: [], tfoot: [] };
+        const collectRows = (parent, section) => {
+            for (const child of parent.children) {
+                if (child.type !== 'element') continue;
+                if (this._isHidden(child)) {
+                    this.statistics.elementsDropped.hidden++;
+                    continue;
+                }
+                if (child.tagName === 'tr') {
+                    sections[section].push(child);
+                } else if (child.tagName in sections) {
+                    collectRows(child, child.tagName);
+                } else if (child.tagName === 'caption' && parent === node) {
+                    const runs = this._extractRuns(child.children);
+                    if (runs.length > 0) {
+                        content.push({
+                            text: this._runsToText(runs),
+                            runs: runs,
+                            type: 'paragraph',
+                            indent: context.indent,
+                            fontSize: Math.round((this._extractFontSize(style) || DEFAULT_FONT_SIZE) * 0.85),
+                            color: this._extractColor(this._getStyle(child)) || '#2e2e2e',
+                            align: this._extractTextAlign(child),
+                            marginTop: 0,
+                            marginBottom: 4
+                        });
+                    }
+                }
+            }
+        };
+        collectRows(node, 'tbody');
+
+        // Footer rows always render last
+        const rowNodes = [...sections.thead, ...sections.tbody, ...sections.tfoot];
+        const headRowCount = sections.thead.length;
+
+        // A border attribute outlines the table and every cell, as in browsers
+        const borderAttribute = parseInt(attributes.border);
+        const attributeBorder = borderAttribute > 0 ? { width: borderAttribute, color: '#808080' } : null;
+        const cellAttributeBorder = attributeBorder ? { width: 1, color: '#808080' } : null;
+        const cellPadding = attributes.cellpadding !== undefined ? parseInt(attributes.cellpadding) || 0 : null;
+
+        for (const rowNode of rowNodes) {
+            const rowStyle = this._getStyle(rowNode);
+            const rowBackground = this._extractBackgroundColor(rowStyle) || this._parseColor(rowNode.attributes.bgcolor);
+            const cells = [];
+
+            for (const cellNode of rowNode.children) {
+                if (cellNode.type !== 'element' || (cellNode.tagName !== 'td' && cellNode.tagName !== 'th')) continue;
+                if (this._isHidden(cellNode)) {
+                    this.statistics.elementsDropped.hidden++;
+                    continue;
+                }
+
+                const cellStyle = this._getStyle(cellNode);
+                const isHeader = cellNode.tagName === 'th';
+                const cssBorder = this._extractBorder(cellStyle);
+                const padding = {};
+                for (const side of ['top', 'right', 'bottom', 'left']) {
+                    const value = this._extractPadding(cellStyle, side);
+                    padding[side] = value !== null ? value : (cellPadding !== null ? cellPadding : 4);
+                }
+
+                // Images in a cell are placed above its text
+                const imageNodes = [];
+                const runs = this._extractRuns(cellNode.children, { bold: isHeader }, imageNodes);
+                const images = [];
+                this._extractImages(imageNodes, images, context);
+
+                cells.push({
+                    runs: runs,
+                    images: images,
+                    header: isHeader,
+                    colspan: Math.max(1, parseInt(cellNode.attributes.colspan) || 1),
+                    rowspan: Math.max(1, parseInt(cellNode.attributes.rowspan) || 1),
+                    padding: padding,
+                    align: this._extractTextAlign(cellNode),
+                    color: this._extractColor(cellStyle) || this._extractColor(rowStyle) || null,
+                    background: this._extractBackgroundColor(cellStyle) || this._parseColor(cellNode.attributes.bgcolor) || rowBackground,
+                    border: cssBorder || cellAttributeBorder
+                });
+            }
+
+            rows.push({ cells, header: cells.length > 0 && cells.every(cell => cell.header) });
+        }
+
+        if (rows.length === 0) {
+            this._log('Skipping table with no rows', 'debug');
+            return;
+        }
+
+        // Without a thead, leading rows made only of <th> cells act as the header
+        let headerRowCount = headRowCount;
+        if (headerRowCount === 0) {
+            while (headerRowCount < rows.length && rows[headerRowCount].header) headerRowCount++;
+        }
+
+        const collapse = /^collapse$/i.test(this._styleValue(style, 'border-collapse') || '');
+        const fontSize = this._extractFontSize(style) || DEFAULT_FONT_SIZE;
+        const spacingValue = this._styleValue(style, 'border-spacing');
+        const spacing = spacingValue ? this._resolveLength(spacingValue.trim().split(/\s+/)[0], { fontSize }) : null;
+        const width = this._resolveDimension(this._styleValue(style, 'width'), { fontSize }) ||
+            this._resolveDimension(attributes.width);
+        const marginTop = this._extractMargin(style, 'top');
+        const marginBottom = this._extractMargin(style, 'bottom');
+
+        content.push({
+            type: 'table',
+            text: `table (${rows.length} rows)`,
+            rows: rows,
+            headerRowCount: headerRowCount,
+            fontSize: Math.round(fontSize * 0.85),
+            color: this._extractColor(style) || '#2e2e2e',
+            border: this._extractBorder(style) || attributeBorder,
+            borderCollapse: collapse,
+            indent: context.indent,
+            cellSpacing: spacing !== null
+                ? spacing
+                : (attributes.cellspacing !== undefined ? parseInt(attributes.cellspacing) || 0 : 2),
+            width: width,
+            marginTop: marginTop !== null ? marginTop : 0,
+            marginBottom: marginBottom !== null ? marginBottom : 8
+        });
+
+        this._log(`✓ Added table with ${rows.length} rows (${headerRowCount} header)`, 'debug');
+    }
+
+    /**
+     * Parse HTML into a DOM-like tree of
+     * `{ type: 'element', tagName, attributes, children, parent }` and
+     * `{ type: 'text', text, parent }` nodes under a `document` root.
+     * Follows the browser rules for void elements, implied end tags and
+     * stray end tags closely enough for real-world templates.
+     * @private
+     */
+    _parseHTML(html) {
+        const document = { type: 'document', tagName: null, attributes: {}, children: [], parent: null };
+        const stack = [document];
+        const current = () => stack[stack.length - 1];
+
+        const closeElement = (tagName) => {
+            for (let i = stack.length - 1; i > 0; i--) {
+                if (stack[i].tagName === tagName) {
+                    stack.length = i;
+                    return true;
+                }
+            }
+            return false;
+        };
+
+        // Close an open element when a start tag implies its end, without
+        // reaching past the given boundary elements (e.g. a nested list)
+        const closeImplied = (tagNames, boundaries) => {
+            for (let i = stack.length - 1; i > 0; i--) {
+                if (tagNames.includes(stack[i].tagName)) {
+                    stack.length = i;
+                    return;
+                }
+                if (boundaries.includes(stack[i].tagName)) {
+                    return;
+                }
+            }
+        };
+
+        for (const token of this._tokenizeHTML(html)) {
+            if (token.type === 'text') {
+                const parent = current();
+                const last = parent.children[parent.children.length - 1];
+                if (last && last.type === 'text') {
+                    last.text += token.text;
+                } else {
+                    parent.children.push({ type: 'text', text: token.text, parent });
+                }
+                continue;
+            }
+
+            if (token.type === 'endTag') {
+                // Stray end tags with no matching open element are ignored
+                if (!closeElement(token.tagName)) {
+                    this._log(`Ignoring unmatched end tag </${token.tagName}>`, 'debug');
+                }
+                continue;
+            }
+
+            const tagName = token.tagName;
+
+            if (P_CLOSING_ELEMENTS.has(tagName)) {
+                closeImplied(['p'], ['button', 'table', 'td', 'th', 'li']);
+            }
+            if (tagName === 'li') {
+                closeImplied(['li'], ['ul', 'ol']);
+            } else if (tagName === 'dt' || tagName === 'dd') {
+                closeImplied(['dt', 'dd'], ['dl']);
+            } else if (tagName === 'tr') {
+                closeImplied(['tr'], ['table', 'thead', 'tbody', 'tfoot']);
+            } else if (tagName === 'td' || tagName === 'th') {
+                closeImplied(['td', 'th'], ['tr', 'table']);
+            } else if (['thead', 'tbody', 'tfoot'].includes(tagName)) {
+                closeImplied(['thead', 'tbody', 'tfoot'], ['table']);
+            } else if (tagName === 'option') {
+                closeImplied(['option'], ['select']);
+            }
+
+            const parent = current();
+            const element = { type: 'element', tagName, attributes: token.attributes, children: [], parent };
+            parent.children.push(element);
+
+            if (!VOID_ELEMENTS.has(tagName) && !token.selfClosing) {
+                stack.push(element);
+            }
+            if (token.text !== undefined) {
+                // Raw text elements (script, style, title, textarea) carry their text with the tag
+                if (token.text) {
+                    element.children.push({ type: 'text', text: token.text, parent: element });
+                }
+                stack.pop();
+            }
+        }
+
+        return document;
+    }
+
+    /**
+     * Split HTML into start tag, end tag and text tokens. Comments,
+     * doctypes and processing instructions are skipped, attribute values
+     * may contain `>` inside quotes, and entities are decoded.
+     * @private
+     */
+    _tokenizeHTML(html) {
+        const tokens = [];
+        const length = html.length;
+        let pos = 0;
+
+        const pushText = (text) => {
+            if (text) {
+                tokens.push({ type: 'text', text: this._decodeEntities(text) });
+            }
+        };
+
+        while (pos < length) {
+            const lt = html.indexOf('<', pos);
+            if (lt === -1) {
+                pushText(html.substring(pos));
+                break;
+            }
+            pushText(html.substring(pos, lt));
+            pos = lt;
+
+            // Comments
+            if (html.startsWith('<!--', pos)) {
+                const end = html.indexOf('-->', pos + 4);
+                pos = end === -1 ? length : end + 3;
+                continue;
+            }
+
+            // Doctype, CDATA and processing instructions
+            if (html[pos + 1] === '!' || html[pos + 1] === '?') {
+                const end = html.indexOf('>', pos);
+                pos = end === -1 ? length : end + 1;
+                continue;
+            }
+
+            const isEndTag = html[pos + 1] === '/';
+            const nameStart = pos + (isEndTag ? 2 : 1);
+            const nameMatch = /^[a-zA-Z][^\s/>]*/.exec(html.substring(nameStart, nameStart + 64));
+
+            // A '<' that does not start a tag is literal text
+            if (!nameMatch) {
+                pushText('<');
+                pos++;
+                continue;
+            }
+
+            const tagName = nameMatch[0].toLowerCase();
+            pos = nameStart + nameMatch[0].length;
+
+            if (isEndTag) {
+                const end = html.indexOf('>', pos);
+                pos = end === -1 ? length : end + 1;
+                tokens.push({ type: 'endTag', tagName });
+                continue;
+            }
+
+            // Attributes
+            const attributes = {};
+            let selfClosing = false;
+
+            while (pos < length) {
+                while (pos < length && /\s/.test(html[pos])) pos++;
+
+                if (html[pos] === '>') {
+                    pos++;
+                    break;
+                }
+                if (html[pos] === '/') {
+                    pos++;
+                    if (html[pos] === '>') {
+                        selfClosing = true;
+                        pos++;
+                        break;
+                    }
+                    continue;
+                }
+
+                const attrMatch = /^[^\s/>=]+/.exec(html.substring(pos, pos + 256));
+                if (!attrMatch) {
+                    pos++;
+                    continue;
+                }
+                const name = attrMatch[0].toLowerCase();
+                pos += attrMatch[0].length;
+
+                while (pos < length && /\s/.test(html[pos])) pos++;
+
+                let value = '';
+                if (html[pos] === '=') {
+                    pos++;
+                    while (pos < length && /\s/.test(html[pos])) pos++;
+
+                    const quote = html[pos];
+                    if (quote === '"' || quote === "'") {
+                        const end = html.indexOf(quote, pos + 1);
+                        value = html.substring(pos + 1, end === -1 ? length : end);
+                        pos = end === -1 ? length : end + 1;
+                    } else {
+                        const valueMatch = /^[^\s>]*/.exec(html.substring(pos));
+                        value = valueMatch[0];
+                        pos += value.length;
+                    }
+                }
+
+                // The first occurrence of an attribute wins, as in browsers
+                if (!(name in attributes)) {
+                    attributes[name] = this._decodeEntities(value);
+                }
+            }
+
+            const token = { type: 'startTag', tagName, attributes, selfClosing };
+
+            // Raw text elements run until their matching end tag
+            if (RAW_TEXT_ELEMENTS.has(tagName) && !selfClosing) {
+                const closeMatch = new RegExp(`</${tagName}\\s*>`, 'i').exec(html.substring(pos));
+                const end = closeMatch ? pos + closeMatch.index : length;
+                const rawText = html.substring(pos, end);
+                token.text = (tagName === 'title' || tagName === 'textarea')
+                    ? this._decodeEntities(rawText)
+                    : rawText;
+                pos = closeMatch ? end + closeMatch[0].length : length;
+            }
+
+            tokens.push(token);
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Decode named and numeric HTML character references
+     * @private
+     */
+    _decodeEntities(text) {
+        if (text.indexOf('&') === -1) return text;
+
+        return text.replace(/&(#[xX][0-9a-fA-F]+|#\d+|[a-zA-Z][a-zA-Z0-9]*);?/g, (match, entity) => {
+            if (entity[0] === '#') {
+                const code = entity[1] === 'x' || entity[1] === 'X'
+                    ? parseInt(entity.substring(2), 16)
+                    : parseInt(entity.substring(1), 10);
+                return code > 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : match;
+            }
+            const decoded = HTML_ENTITIES[entity];
+            return decoded !== undefined ? decoded : match;
+        });
+    }
+
+    /**
+     * Find the first element with the given tag name (depth-first)
+     * @private
+     */
+    _findElement(node, tagName) {
+        for (const child of node.children || []) {
+            if (child.type !== 'element') continue;
+            if (child.tagName === tagName) return child;
+            const found = this._findElement(child, tagName);
+            if (found) return found;
+        }
+        return null;
+    }
+
+    /**
+     * Get the style declarations of an element: its computed style when
+     * stylesheets have been applied, otherwise its inline style
+     * @private
+     */
+    _getStyle(node) {
+        if (node && node.computedStyle !== undefined) {
+            return node.computedStyle;
+        }
+        return (node && node.attributes && node.attributes.style) || '';
+    }
+
+    /**
+     * Run the cascade over the document: default styles, <style> elements
+     * and options.css, then inline styles, with inherited properties taken
+     * from the parent. The result is stored on each element as
+     * `computedStyle` and returned by _getStyle.
+     * @private
+     */
+    _applyStyles(document, options) {
+        if (!this.options.enableCSS) {
+            this._log('CSS disabled - using inline styles only', 'debug');
+            return;
+        }
+
+        const rules = this._parseStylesheet(DEFAULT_STYLESHEET, 0);
+        const collect = (node) => {
+            for (const child of node.children) {
+                if (child.type !== 'element') continue;
+                if (child.tagName === 'style') {
+                    if (this._matchesMedia(child.attributes.media)) {
+                        rules.push(...this._parseStylesheet(child.children.map(text => text.text).join(''), 1));
+                    }
+                } else {
+                    collect(child);
+                }
+            }
+        };
+        collect(document);
+        if (options.css) {
+            rules.push(...this._parseStylesheet(String(options.css), 1));
+        }
+        rules.forEach((rule, index) => { rule.order = index; });
+
+        this._log(`Applying ${rules.length} CSS rule(s)`, 'debug');
+
+        // Percentages of lengths other than font sizes refer to the content width
+        const reference = {
+            percentOf: options.pageWidth - options.margin.left - options.margin.right,
+            rootFontSize: DEFAULT_FONT_SIZE
+        };
+        const visit = (node, parentStyle) => {
+            for (const child of node.children) {
+                if (child.type !== 'element') continue;
+                const computed = this._computeStyle(child, rules, parentStyle, reference);
+                child.computedStyle = [...computed].map(([property, value]) => `${property}: ${value}`).join('; ');
+                // rem refers to the <html> element, not to every top-level element of a fragment
+                if (node === document && child.tagName === 'html') {
+                    reference.rootFontSize = parseFloat(computed.get('font-size')) || DEFAULT_FONT_SIZE;
+                }
+                visit(child, computed);
+            }
+        };
+        visit(document, new Map());
+    }
+
+    /**
+     * Compute the style of one element as a property -> value map, with
+     * font sizes and other lengths resolved to px
+     * @private
+     */
+    _computeStyle(node, rules, parentStyle, reference) {
+        const matched = [];
+        for (const rule of rules) {
+            // A rule counts with the most specific of its selectors that matches
+            let specificity = null;
+            for (const selector of rule.selectors) {
+                if (this._compareSpecificity(selector.specificity, specificity) > 0 && this._matchesSelector(node, selector.compounds)) {
+                    specificity = selector.specificity;
+                }
+            }
+            if (specificity) {
+                for (const declaration of rule.declarations) {
+                    matched.push({ ...declaration, origin: rule.origin, specificity, order: rule.order });
+                }
+            }
+        }
+        // The legacy align attribute acts as an author rule with no specificity
+        if (node.attributes.align && ALIGN_ATTRIBUTE_ELEMENTS.has(node.tagName)) {
+            matched.push({ property: 'text-align', value: node.attributes.align, important: 0, origin: 1, specificity: [0, 0, 0], order: -1 });
+        }
+        for (const declaration of this._parseDeclarations(node.attributes.style || '')) {
+            matched.push({ ...declaration, origin: 2, specificity: [0, 0, 0], order: Infinity });
+        }
+
+        // Ascending precedence: later entries override earlier ones
+        matched.sort((a, b) =>
+            (a.important - b.important) ||
+            (a.origin - b.origin) ||
+            this._compareSpecificity(a.specificity, b.specificity) ||
+            (a.order - b.order));
+
+        const style = new Map();
+        for (const property of INHERITED_PROPERTIES) {
+            if (parentStyle.has(property)) style.set(property, parentStyle.get(property));
+        }
+        for (const { property, value } of matched) {
+            for (const [name, longhandValue] of this._expandShorthand(property, value)) {
+                if (/^inherit$/i.test(longhandValue)) {
+                    if (parentStyle.has(name)) style.set(name, parentStyle.get(name));
+                    else style.delete(name);
+                } else if (/^(initial|unset)$/i.test(longhandValue)) {
+                    style.delete(name);
+                } else {
+                    style.set(name, longhandValue);
+                }
+            }
+        }
+
+        // Children inherit the absolute font size, so resolve it against the parent's
+        const parentFontSize = parseFloat(parentStyle.get('font-size')) || DEFAULT_FONT_SIZE;
+        if (style.has('font-size')) {
+            const fontSize = this._resolveFontSize(style.get('font-size'), parentFontSize, reference.rootFontSize);
+            style.set('font-size', `${fontSize !== null ? fontSize : parentFontSize}px`);
+        }
+
+        const fontSize = parseFloat(style.get('font-size')) || DEFAULT_FONT_SIZE;
+        for (const [property, value] of style) {
+            if (!LENGTH_PROPERTIES.test(property)) continue;
+            // Percentage widths and heights depend on where the element is laid out
+            if ((property === 'width' || property === 'height') && /%$/.test(value)) continue;
+
+            const px = this._resolveLength(value, { ...reference, fontSize });
+            if (px !== null) style.set(property, `${px}px`);
+        }
+
+        return style;
+    }
+
+    /**
+     * Split margin and padding shorthands into their four longhands so
+     * that later declarations of either form override earlier ones
+     * @private
+     */
+    _expandShorthand(property, value) {
+        if (property !== 'margin' && property !== 'padding') {
+            return [[property, value]];
+        }
+
+        const values = value.trim().split(/\s+/);
+        const [top, right = top, bottom = top, left = right] = values;
+        return [
+            [`${property}-top`, top],
+            [`${property}-right`, right],
+            [`${property}-bottom`, bottom],
+            [`${property}-left`, left]
+        ];
+    }
+
+    /**
+     * Parse a stylesheet into rules of `{ selectors, declarations, origin }`.
+     * @media blocks for print or all media are included; other at-rules
+     * and selectors that cannot be matched are skipped.
+     * @private
+     */
+    _parseStylesheet(css, origin) {
+        const text = css.replace(/\/\*[\s\S]*?\*\//g, '').replace(/<!--|-->/g, '');
+        const rules = [];
+        let pos = 0;
+
+        while (pos < text.length) {
+            const open = text.indexOf('{', pos);
+            const semicolon = text.indexOf(';', pos);
+            const prelude = text.substring(pos, open === -1 ? text.length : open).trim();
+
+            // Statement at-rules such as @import or @charset
+            if (prelude.startsWith('@') && semicolon !== -1 && (open === -1 || semicolon < open)) {
+                pos = semicolon + 1;
+                continue;
+            }
+            if (open === -1) break;
+
+            // Find the matching closing brace
+            let depth = 1;
+            let close = open + 1;
+            while (close < text.length && depth > 0) {
+                if (text[close] === '{') depth++;
+                else if (text[close] === '}') depth--;
+                close++;
+            }
+            const body = text.substring(open + 1, close - 1);
+            pos = close;
+
+            if (prelude.startsWith('@')) {
+                const media = prelude.match(/^@media\s+(.*)$/i);
+                if (media && this._matchesMedia(media[1])) {
+                    rules.push(...this._parseStylesheet(body, origin));
+                } else {
+                    this._log(`Skipping CSS at-rule: ${prelude}`, 'debug');
+                }
+                continue;
+            }
+
+            const selectors = prelude.split(',').map(selector => this._parseSelector(selector)).filter(Boolean);
+            if (selectors.length > 0) {
+                rules.push({ selectors, declarations: this._parseDeclarations(body), origin });
+            }
+        }
+
+        return rules;
+    }
+
+    /**
+     * Parse a declaration block into `{ property, value, important }` entries,
+     * ignoring semicolons inside parentheses and quotes
+     * @private
+     */
+    _parseDeclarations(text) {
+        const declarations = [];
+        for (const part of text.match(/(?:\([^)]*\)|"[^"]*"|'[^']*'|[^;])+/g) || []) {
+            const colon = part.indexOf(':');
+            if (colon === -1) continue;
+
+            const property = part.substring(0, colon).trim().toLowerCase();
+            let value = part.substring(colon + 1).trim();
+            const important = /!\s*important\s*$/i.test(value);
+            if (important) {
+                value = value.replace(/\s*!\s*important\s*$/i, '');
+            }
+            if (property && value) {
+                declarations.push({ property, value, important: important ? 1 : 0 });
+            }
+        }
+        return declarations;
+    }
+
+    /**
+     * Parse a selector made of type, class and id selectors joined by
+     * descendant or child combinators. Returns null for selectors that use
+     * anything else (attributes, pseudo-classes, sibling combinators).
+     * @private
+     */
+    _parseSelector(text) {
+        const compounds = [];
+        const specificity = [0, 0, 0];
+        let combinator = null;
+
+        for (const token of text.trim().split(/\s*(>)\s*|\s+/)) {
+            if (token === undefined || token === '') continue;
+            if (token === '>') {
+                combinator = '>';
+                continue;
+            }
+
+            const match = token.match(/^(\*|[a-z][\w-]*)?((?:[.#][\w-]+|\[[\w-]+\])*)$/i);
+            if (!match || (!match[1] && !match[2])) {
+                this._log(`Skipping unsupported CSS selector: ${text.trim()}`, 'debug');
+                return null;
+            }
+
+            const compound = { tag: null, id: null, classes: [], attributes: [], combinator: compounds.length > 0 ? (combinator || ' ') : null };
+            if (match[1] && match[1] !== '*') {
+                compound.tag = match[1].toLowerCase();
+                specificity[2]++;
+            }
+            for (const part of match[2].match(/[.#][\w-]+|\[[\w-]+\]/g) || []) {
+                if (part[0] === '#') {
+                    compound.id = part.substring(1);
+                    specificity[0]++;
+                } else if (part[0] === '[') {
+                    compound.attributes.push(part.slice(1, -1).toLowerCase());
+                    specificity[1]++;
+                } else {
+                    compound.classes.push(part.substring(1));
+                    specificity[1]++;
+                }
+            }
+            compounds.push(compound);
+            combinator = null;
+        }
+
+        return compounds.length > 0 ? { compounds, specificity } : null;
+    }
+
+    /**
+     * Check whether an element matches a parsed selector, walking up the
+     * ancestors for descendant and child combinators
+     * @private
+     */
+    _matchesSelector(node, compounds) {
+        const matchesCompound = (element, compound) => {
+            if (compound.tag && element.tagName !== compound.tag) return false;
+            if (compound.id && element.attributes.id !== compound.id) return false;
+            if (compound.classes.length > 0) {
+                const classes = (element.attributes.class || '').split(/\s+/);
+                if (!compound.classes.every(name => classes.includes(name))) return false;
+            }
+            if (!compound.attributes.every(name => name in element.attributes)) return false;
+            return true;
+        };
+
+        const matchAncestors = (element, index) => {
+            if (index < 0) return true;
+            const combinator = compounds[index + 1].combinator;
+            for (let ancestor = element.parent; ancestor && ancestor.type === 'element'; ancestor = ancestor.parent) {
+                if (matchesCompound(ancestor, compounds[index]) && matchAncestors(ancestor, index - 1)) {
+                    return true;
+                }
+                if (combinator === '>') return false;
+            }
+            return false;
+        };
+
+        const last = compounds.length - 1;
+        return matchesCompound(node, compounds[last]) && matchAncestors(node, last - 1);
+    }
+
+    /**
+     * Compare two [ids, classes, types] specificities; null sorts lowest
+     * @private
+     */
+    _compareSpecificity(a, b) {
+        if (!a || !b) return (a ? 1 : 0) - (b ? 1 : 0);
+        return (a[0] - b[0]) || (a[1] - b[1]) || (a[2] - b[2]);
+    }
+
+    /**
+     * Check whether a media query or media attribute applies to print
+     * @private
+     */
+    _matchesMedia(media) {
+        return !media || !media.trim() || /\b(all|print)\b/i.test(media);
+    }
+
+    /**
+     * Extract styled text runs from a list of nodes, walking nested inline
+     * elements. Each run is `{ text, bold, italic, underline, color }`,
+     * where a null color means the containing block's color and a newline
+     * in the text is a <br> line break. <img> elements
+     * found along the way are collected into imageNodes when it is given.
+     * @private
+     */
+    _extractRuns(nodes, baseStyle = {}, imageNodes = null) {
+        if (!nodes || nodes.length === 0) return [];
+
+        const rawRuns = [];
+        const collect = (node, style) => {
+            if (node.type === 'text') {
+                rawRuns.push({ ...style, text: node.text, numberFormat: node.parent.numberFormat });
+                return;
+            }
+            if (node.type !== 'element' || NON_RENDERED_ELEMENTS.has(node.tagName)) {
+                return;
+            }
+            if (this._isHidden(node)) {
+                this.statistics.elementsDropped.hidden++;
+                return;
+            }
+            if (node.tagName === 'br') {
+                rawRuns.push({ ...style, text: '\n', lineBreak: true });
+                return;
+            }
+            if (node.tagName === 'img') {
+                if (imageNodes) imageNodes.push(node);
+                return;
+            }
+            const childStyle = this._resolveInlineStyle(node, style);
+            node.children.forEach(child => collect(child, childStyle));
+        };
+
+        // All nodes share a parent, whose own styles the runs start from
+        const container = nodes[0].parent;
+        const defaultStyle = {
+            bold: false,
+            italic: false,
+            underline: false,
+            color: null,
+            fontFamily: null,
+            link: null,
+            ...this._inheritedInlineStyle(container),
+            ...baseStyle
+        };
+        const rootStyle = container && container.type === 'element'
+            ? this._resolveInlineStyle(container, defaultStyle)
+            : defaultStyle;
+        nodes.forEach(node => collect(node, rootStyle));
+
+        // Collapse whitespace across run boundaries (\s also covers non-breaking spaces)
+        const runs = [];
+        let endsWithSpace = true;
+        let precedingText = '';
+        for (const { numberFormat, lineBreak, ...run } of rawRuns) {
+            if (lineBreak) {
+                // A line break swallows the spaces around it
+                const previous = runs[runs.length - 1];
+                if (previous) {
+                    previous.text = previous.text.replace(/ $/, '');
+                    if (!previous.text) runs.pop();
+                }
+                const last = runs[runs.length - 1];
+                if (last && this._sameRunStyle(last, run)) {
+                    last.text += run.text;
+                } else {
+                    runs.push(run);
+                }
+                precedingText += run.text;
+                endsWithSpace = true;
+                continue;
+            }
+
+            let text = run.text.replace(/\s+/g, ' ');
+            if (endsWithSpace && text.startsWith(' ')) {
+                text = text.substring(1);
+            }
+            if (!text) continue;
+            endsWithSpace = text.endsWith(' ');
+
+            // Format numbers run by run, giving each run the text before it as
+            // context, and the font so that currency symbols it lacks are avoided
+            text = this._formatNumbers(text, precedingText, numberFormat, this._fontFor(run));
+            precedingText += text;
+
+            // Merge with the previous run when the style is identical
+            for (const piece of this._splitMissingGlyphs({ ...run, text })) {
+                const previous = runs[runs.length - 1];
+                if (previous && this._sameRunStyle(previous, piece)) {
+                    previous.text += piece.text;
+                } else {
+                    runs.push(piece);
+                }
+            }
+        }
+
+        // Trim trailing whitespace, and a final line break, which ends the
+        // last line rather than starting an empty one
+        while (runs.length > 0) {
+            const last = runs[runs.length - 1];
+            last.text = last.text.replace(/ $/, '').replace(/\n$/, '');
+            if (last.text) break;
+            runs.pop();
+        }
+
+        this._log(`Extracted text result: "${this._runsToText(runs)}" in ${runs.length} run(s)`, 'debug');
+        return runs;
+    }
+
+    /**
+     * Split a run drawn with a registered font so that characters the font
+     * has no glyph for are drawn with the standard font instead, logging
+     * them and counting them in the fontFallbacks statistic
+     * @private
+     */
+    _splitMissingGlyphs(run) {
+        const font = this._fontFor(run);
+        const embedded = this._embeddedFont(font);
+        if (!embedded || this._fontCovers(font, run.text)) {
+            return [run];
+        }
+
+        const pieces = [];
+        const missing = new Set();
+        for (const char of run.text) {
+            const covered = this._fontCovers(font, char);
+            if (!covered) {
+                missing.add(char);
+                this.statistics.fontFallbacks++;
+            }
+
+            const last = pieces[pieces.length - 1];
+            if (last && last.covered === covered) {
+                last.text += char;
+            } else {
+                pieces.push({ covered, text: char });
+            }
+        }
+
+        this._log(`Font ${embedded.family} has no glyph for "${[...missing].join('')}", using Helvetica`, 'warn');
+        return pieces.map(({ covered, text }) => (covered ? { ...run, text } : { ...run, text, fontFamily: 'helvetica' }));
+    }
+
+    /**
+     * Without the cascade, find the color and font family declared inline on
+     * the nearest ancestors of a node, which its text inherits
+     * @private
+     */
+    _inheritedInlineStyle(node) {
+        const inherited = {};
+        if (!node || node.computedStyle !== undefined) return inherited;
+
+        for (let current = node.parent; current && current.type === 'element'; current = current.parent) {
+            const style = this._getStyle(current);
+            if (!inherited.color) {
+                const color = this._extractColor(style);
+                if (color) inherited.color = color;
+            }
+            if (!inherited.fontFamily) {
+                const fontFamily = this._extractFontFamily(style);
+                if (fontFamily) inherited.fontFamily = fontFamily;
+            }
+        }
+        return inherited;
+    }
+
+    /**
+     * Join the text of a list of runs, with line breaks as spaces
+     * @private
+     */
+    _runsToText(runs) {
+        return runs.map(run => run.text).join('').replace(/\n/g, ' ');
+    }
+
+    /**
+     * Compare the visual style of two runs
+     * @private
+     */
+    _sameRunStyle(a, b) {
+        return a.bold === b.bold && a.italic === b.italic && a.fontFamily === b.fontFamily &&
+            a.underline === b.underline && a.color === b.color && a.link === b.link;
+    }
+
+    /**
+     * Work out the run style of an inline element from its tag and
+     * font-weight / font-style / text-decoration / color declarations
+     * @private
+     */
+    _resolveInlineStyle(node, inherited) {
+        const style = { ...inherited };
+        const tag = node.tagName;
+
+        if (tag === 'b' || tag === 'strong') style.bold = true;
+        if (['i', 'em', 'cite', 'var', 'dfn'].includes(tag)) style.italic = true;
+        if (tag === 'u' || tag === 'ins') style.underline = true;
+        if (tag === 'a' && node.attributes.href && node.attributes.href.trim()) {
+            style.link = node.attributes.href.trim();
+
+            // The default stylesheet styles links; without the cascade the
+            // same defaults apply here, for inline styles to override
+            if (node.computedStyle === undefined) {
+                style.color = LINK_COLOR;
+                style.underline = true;
+            }
+        }
+        if (tag === 'font' && node.attributes.color) {
+            style.color = this._parseColor(node.attributes.color) || style.color;
+        }
+
+        const css = this._getStyle(node);
+        if (!css) return style;
+
+        const weight = this._styleValue(css, 'font-weight');
+        if (weight) {
+            const value = weight.toLowerCase();
+            style.bold = value === 'bold' || value === 'bolder' || parseInt(value) >= 600;
+        }
+
+        const fontStyle = this._styleValue(css, 'font-style');
+        if (fontStyle) {
+            style.italic = /^(italic|oblique)/i.test(fontStyle);
+        }
+
+        const decoration = this._styleValue(css, 'text-decoration-line') || this._styleValue(css, 'text-decoration');
+        if (decoration) {
+            style.underline = /underline/i.test(decoration);
+        }
+
+        const color = this._extractColor(css);
+        if (color) style.color = color;
+
+        const fontFamily = this._extractFontFamily(css);
+        if (fontFamily) style.fontFamily = fontFamily;
+
+        return style;
+    }
+
+    /**
+     * Format numbers in a run of text according to the number format policy
+     * of the element it came from: `{ kind, format, currency }`, where kind
+     * is 'auto', 'none', 'number' or 'amount' and format is the numberFormat
+     * option. precedingText is the text that comes before this text in the
+     * same paragraph, used as context. font is the font resource the text
+     * is drawn with.
+     * @private
+     */
+    _formatNumbers(text, precedingText = '', policy = {}, font = null) {
+        const { kind = 'auto', format, currency = null } = policy;
+
+        if (kind === 'none') {
+            return text;
+        }
+        if (kind === 'amount') {
+            return text.replace(AMOUNT_PATTERN, (match, symbol, number) =>
+                this._formatNumber(match, 'amount', format, currency, currency ? '' : (symbol || ''), font));
+        }
+        if (kind === 'number') {
+            return text.replace(NUMBER_PATTERN, match => this._formatNumber(match, 'number', format));
+        }
+
+        // Unmarked text is only formatted when the caller sets a locale or formatter
+        if (format === undefined || format === false) {
+            return text;
+        }
+
+        // Numbers that start in the preceding text are left alone, so a
+        // number split across runs is never grouped in pieces
+        const offsetBase = precedingText.length;
+        const formatted = (precedingText + text).replace(UNMARKED_NUMBER_PATTERN, (match, offset) =>
+            offset < offsetBase ? match : this._formatNumber(match, 'number', format));
+
+        return formatted.substring(offsetBase);
+    }
+
+    /**
+     * Format one number with the numberFormat option: a formatter function,
+     * or a locale whose grouping is used for numbers and whose currency
+     * conventions are used for amounts. Amounts without a currency keep
+     * their own symbol, passed as prefix, and get two decimal places. With
+     * a font, a currency symbol the font has no glyph for is replaced by its
+     * code.
+     * @private
+     */
+    _formatNumber(token, kind, format, currency = null, prefix = '', font = null) {
+        // Currency symbols and existing group separators are not part of the value
+        const digits = token.replace(/[^\d.-]/g, '');
+        const value = Number(digits);
+        if (!digits || !isFinite(value)) {
+            return token;
+        }
+
+        try {
+            if (typeof format === 'function') {
+                const result = format(value, { text: token, kind, currency });
+                return result === null || result === undefined ? token : String(result);
+            }
+
+            // Elements that opt in are formatted even when automatic formatting is off
+            const locale = typeof format === 'string' ? format : DEFAULT_NUMBER_LOCALE;
+
+            if (kind === 'amount') {
+                const options = currency
+                    ? { style: 'currency', currency }
+                    : { minimumFractionDigits: 2, maximumFractionDigits: 2 };
+                const amount = new Intl.NumberFormat(locale, options).format(value);
+                if (currency && font && !this._fontCovers(font, amount)) {
+                    return new Intl.NumberFormat(locale, { ...options, currencyDisplay: 'code' }).format(value);
+                }
+                return prefix + amount;
+            }
+
+            const decimals = (digits.split('.')[1] || '').length;
+            return new Intl.NumberFormat(locale, { minimumFractionDigits: decimals, maximumFractionDigits: decimals }).format(value);
+
+        } catch (error) {
+            this._log(`Could not format number ${token}: ${error.message}`, 'warn');
+            return token;
+        }
+    }
+
+    /**
+     * Record on every element the number format policy for its text:
+     * the kind from the nearest `data-format` attribute or formatting class,
+     * the currency from the nearest `data-currency` attribute or the
+     * `currency` option, and the `numberFormat` option
+     * @private
+     */
+    _applyNumberFormats(document, options) {
+        const visit = (node, policy) => {
+            node.numberFormat = policy;
+            for (const child of node.children) {
+                if (child.type !== 'element') continue;
+
+                const kind = this._extractNumberFormatKind(child);
+                const currency = child.attributes['data-currency'];
+                visit(child, kind || currency
+                    ? { ...policy, kind: kind || policy.kind, currency: currency ? currency.trim().toUpperCase() : policy.currency }
+                    : policy);
+            }
+        };
+
+        visit(document, { kind: 'auto', format: options.numberFormat, currency: options.currency || null });
+    }
+
+    /**
+     * Get the number format kind an element asks for, if any. The
+     * data-format attribute wins over classes.
+     * @private
+     */
+    _extractNumberFormatKind(node) {
+        const attribute = (node.attributes['data-format'] || '').trim().toLowerCase();
+        if (NUMBER_FORMAT_KINDS[attribute]) {
+            return NUMBER_FORMAT_KINDS[attribute];
+        }
+
+        const classes = (node.attributes.class || '').split(/\s+/);
+        const match = classes.find(name => NUMBER_FORMAT_CLASSES[name]);
+        return match ? NUMBER_FORMAT_CLASSES[match] : null;
+    }
+
+    /**
+     * Get the value of the last declaration of a property in a style string
+     * @private
+     */
+    _styleValue(style, property) {
+        if (!style) return null;
+
+        let value = null;
+        for (const declaration of this._parseDeclarations(style)) {
+            if (declaration.property === property) value = declaration.value;
+        }
+        return value;
+    }
+
+    /**
+     * Resolve a CSS length to px. `em` is relative to reference.fontSize,
+     * `rem` to reference.rootFontSize and `%` to reference.percentOf;
+     * unitless numbers are taken as px. Returns null for anything else.
+     * @private
+     */
+    _resolveLength(value, reference = {}) {
+        if (value === null || value === undefined) return null;
+
+        const match = String(value).trim().match(/^([+-]?(?:\d+\.?\d*|\.\d+))([a-z%]*)$/i);
+        if (!match) return null;
+
+        const number = parseFloat(match[1]);
+        const unit = match[2].toLowerCase();
+        let px;
+        if (unit === '' || unit === 'px') {
+            px = number;
+        } else if (unit === 'em') {
+            px = number * (reference.fontSize || DEFAULT_FONT_SIZE);
+        } else if (unit === 'rem') {
+            px = number * (reference.rootFontSize || DEFAULT_FONT_SIZE);
+        } else if (unit === '%') {
+            if (reference.percentOf === undefined) return null;
+            px = number * reference.percentOf / 100;
+        } else if (CSS_UNIT_TO_PX[unit]) {
+            px = number * CSS_UNIT_TO_PX[unit];
+        } else {
+            return null;
+        }
+
+        return Math.round(px * 100) / 100;
+    }
+
+    /**
+     * Resolve a font-size value, including keywords, against the parent font size
+     * @private
+     */
+    _resolveFontSize(value, parentFontSize = DEFAULT_FONT_SIZE, rootFontSize = DEFAULT_FONT_SIZE) {
+        const keyword = String(value).trim().toLowerCase();
+        if (FONT_SIZE_KEYWORDS[keyword]) return FONT_SIZE_KEYWORDS[keyword];
+        if (keyword === 'larger') return Math.round(parentFontSize * 1.2 * 100) / 100;
+        if (keyword === 'smaller') return Math.round(parentFontSize / 1.2 * 100) / 100;
+
+        return this._resolveLength(value, { fontSize: parentFontSize, percentOf: parentFontSize, rootFontSize });
+    }
+
+    /**
+     * Resolve a width or height: px for lengths, or a percentage string
+     * (e.g. '50%') for the layout to resolve against the available width
+     * @private
+     */
+    _resolveDimension(value, reference = {}) {
+        if (value === null || value === undefined) return null;
+
+        const percent = String(value).trim().match(/^(\d+(?:\.\d+)?)%$/);
+        if (percent) return `${percent[1]}%`;
+
+        const px = this._resolveLength(value, reference);
+        return px !== null && px > 0 ? px : null;
+    }
+
+    /**
+     * Parse a CSS color (hex, named, rgb()/rgba() or hsl()/hsla()) into
+     * '#rrggbb'. Translucent colors are blended over white; transparent
+     * and unrecognised colors give null.
+     * @private
+     */
+    _parseColor(value) {
+        if (!value) return null;
+
+        const color = String(value).trim().toLowerCase();
+        const toHex = (channels) => '#' + channels
+            .map(channel => Math.round(Math.min(255, Math.max(0, channel))).toString(16).padStart(2, '0'))
+            .join('');
+        const blend = (channels, alpha) => {
+            if (alpha <= 0) return null;
+            return toHex(channels.map(channel => channel * alpha + 255 * (1 - alpha)));
+        };
+
+        if (CSS_NAMED_COLORS[color]) return CSS_NAMED_COLORS[color];
+
+        const hex = color.match(/^#([0-9a-f]{3,4}|[0-9a-f]{6}|[0-9a-f]{8})$/);
+        if (hex) {
+            let digits = hex[1];
+            if (digits.length <= 4) digits = digits.replace(/./g, '$&$&');
+            const channels = [0, 2, 4].map(offset => parseInt(digits.substr(offset, 2), 16));
+            return digits.length === 8 ? blend(channels, parseInt(digits.substr(6, 2), 16) / 255) : toHex(channels);
+        }
+
+        const functional = color.match(/^(rgba?|hsla?)\(([^)]*)\)$/);
+        if (!functional) return null;
+
+        const args = functional[2].split(/[\s,/]+/).filter(Boolean);
+        if (args.length < 3) return null;
+        const number = (arg, scale) => arg.endsWith('%') ? parseFloat(arg) * scale / 100 : parseFloat(arg);
+        const alpha = args.length > 3 ? Math.min(1, number(args[3], 1)) : 1;
+
+        let channels;
+        if (functional[1].startsWith('rgb')) {
+            channels = args.slice(0, 3).map(arg => number(arg, 255));
+        } else {
+            const hue = ((parseFloat(args[0]) % 360) + 360) % 360 / 360;
+            const saturation = Math.min(1, number(args[1], 1) / (args[1].endsWith('%') ? 1 : 100));
+            const lightness = Math.min(1, number(args[2], 1) / (args[2].endsWith('%') ? 1 : 100));
+            const q = lightness < 0.5 ? lightness * (1 + saturation) : lightness + saturation - lightness * saturation;
+            const p = 2 * lightness - q;
+            const channel = (t) => {
+                t = (t + 1) % 1;
+                if (t < 1 / 6) return p + (q - p) * 6 * t;
+                if (t < 1 / 2) return q;
+                if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+                return p;
+            };
+            channels = [hue + 1 / 3, hue, hue - 1 / 3].map(t => channel(t) * 255);
+        }
+
+        if (channels.some(channel => Number.isNaN(channel)) || Number.isNaN(alpha)) return null;
+        return alpha < 1 ? blend(channels, alpha) : toHex(channels);
+    }
+
+    /**
+     * Extract font size from style declarations
+     * @private
+     */
+    _extractFontSize(style) {
+        if (!style) return null;
+
+        const value = this._styleValue(style, 'font-size');
+        const result = value ? this._resolveFontSize(value) : null;
+
+        this._log(`Extracted font size: ${result}px from "${style}"`, 'debug');
+        return result;
+    }
+
+    /**
+     * Extract color from style declarations
+     * @private
+     */
+    _extractColor(style) {
+        if (!style) return null;
+
+        // Remove backticks if present
+        const styleValue = style.replace(/`/g, '');
+
+        const result = this._parseColor(this._styleValue(styleValue, 'color'));
+
+        this._log(`Extracted color: ${result} from style: "${styleValue}"`, 'debug');
+        return result;
+    }
+
+    /**
+     * Extract the text alignment of an element from `text-align` or, for
+     * elements that support it, the legacy `align` attribute
+     * @private
+     */
+    _extractTextAlign(node) {
+        const value = this._styleValue(this._getStyle(node), 'text-align') ||
+            (ALIGN_ATTRIBUTE_ELEMENTS.has(node.tagName) ? node.attributes.align : null);
+        return value ? TEXT_ALIGNMENTS[value.trim().toLowerCase()] || null : null;
+    }
+
+    /**
+     * Extract the font family from a style string: the first family in the
+     * list that has been registered, or 'helvetica' for the built-in fonts
+     * @private
+     */
+    _extractFontFamily(style) {
+        const value = this._styleValue(style, 'font-family');
+        if (!value) return null;
+
+        const families = value.split(',').map(name => name.trim().replace(/^["']|["']$/g, '').toLowerCase());
+        return families.find(name => this.fontFamilies.has(name)) || 'helvetica';
+    }
+
+    /**
+     * Extract margin value from style declarations
+     * @private
+     */
+    _extractMargin(style, side) {
+        return this._extractBoxSide(style, 'margin', side);
+    }
+
+    /**
+     * Extract padding value from style declarations
+     * @private
+     */
+    _extractPadding(style, side) {
+        return this._extractBoxSide(style, 'padding', side);
+    }
+
+    /**
+     * Extract one side of a margin or padding from its longhand
+     * (`margin-top`) or shorthand (`margin: 0 8px`) declaration
+     * @private
+     */
+    _extractBoxSide(style, property, side) {
+        if (!style) return null;
+
+        this._log(`Extracting ${property}-${side} from style: "${style}"`, 'debug');
+
+        // The later of the longhand and the shorthand wins
+        const longhand = `${property}-${side}`;
+        let value = null;
+        for (const declaration of this._parseDeclarations(style)) {
+            for (const [name, sideValue] of this._expandShorthand(declaration.property, declaration.value)) {
+                if (name === longhand) value = sideValue;
+            }
+        }
+
+        // em is relative to the element's own font size
+        const result = this._resolveLength(value, { fontSize: this._extractFontSize(style) || DEFAULT_FONT_SIZE });
+        if (result === null) {
+            this._log(`No ${longhand} found`, 'debug');
+            return null;
+        }
+
+        this._log(`Found ${longhand}: ${result}px`, 'debug');
+        return result;
+    }
+
+    /**
+     * Extract a `border` shorthand (e.g. `1px solid #ccc`) as `{ width, color }`
+     * @private
+     */
+    _extractBorder(style) {
+        if (!style) return null;
+
+        const value = this._styleValue(style, 'border');
+        if (!value) return null;
+
+        const border = this._parseBorderValue(value, this._extractFontSize(style) || DEFAULT_FONT_SIZE);
+        if (border.width === 0 || border.style === 'none' || border.style === 'hidden') {
+            return { width: 0, color: null };
+        }
+
+        return {
+            width: border.width !== null ? border.width : 3,
+            color: border.color || '#000000'
+        };
+    }
+
+    /**
+     * Extract the padding, per-side borders and background of a block
+     * element. Returns null when the element draws no box.
+     * @private
+     */
+    _extractBox(style) {
+        const padding = {};
+        for (const side of BOX_SIDES) {
+            padding[side] = Math.max(0, this._extractPadding(style, side) || 0);
+        }
+        const border = this._extractBorderSides(style);
+        const background = this._extractBackgroundColor(style);
+
+        if (!background && !BOX_SIDES.some(side => padding[side] > 0 || border[side].width > 0)) {
+            return null;
+        }
+
+        // Borders without a color take the element's text color
+        const color = this._extractColor(style) || '#000000';
+        for (const side of BOX_SIDES) {
+            border[side].color = border[side].color || color;
+        }
+
+        return {
+            padding,
+            border,
+            background,
+            marginTop: this._extractMargin(style, 'top') || 0,
+            marginBottom: this._extractMargin(style, 'bottom') || 0
+        };
+    }
+
+    /**
+     * Extract `{ width, style, color }` for each side from the border
+     * shorthands and longhands, later declarations overriding earlier ones
+     * @private
+     */
+    _extractBorderSides(style) {
+        const fontSize = this._extractFontSize(style) || DEFAULT_FONT_SIZE;
+        const sides = {};
+        for (const side of BOX_SIDES) {
+            sides[side] = { width: 3, style: 'none', color: null };
+        }
+
+        for (const { property, value } of this._parseDeclarations(style)) {
+            const match = property.match(/^border(?:-(top|right|bottom|left))?(?:-(width|style|color))?$/);
+            if (!match) continue;
+            const targets = match[1] ? [match[1]] : BOX_SIDES;
+
+            if (!match[2]) {
+                // Shorthands reset all three parts of each side they cover
+                const border = this._parseBorderValue(value, fontSize);
+                for (const side of targets) {
+                    sides[side] = {
+                        width: border.width !== null ? border.width : 3,
+                        style: border.style || 'solid',
+                        color: border.color
+                    };
+                }
+                continue;
+            }
+
+            // border-width / border-style / border-color take one to four values
+            const tokens = value.match(/[^\s(]+(?:\([^)]*\))?/g) || [];
+            const [top, right = top, bottom = top, left = right] = tokens;
+            const values = match[1] ? { [match[1]]: tokens[0] } : { top, right, bottom, left };
+            for (const side of targets) {
+                const token = values[side];
+                if (match[2] === 'width') {
+                    const keyword = BORDER_WIDTH_KEYWORDS[token.toLowerCase()];
+                    const width = keyword !== undefined ? keyword : this._resolveLength(token, { fontSize });
+                    if (width !== null) sides[side].width = width;
+                } else if (match[2] === 'style') {
+                    sides[side].style = token.toLowerCase();
+                } else {
+                    sides[side].color = this._parseColor(token);
+                }
+            }
+        }
+
+        for (const side of BOX_SIDES) {
+            if (sides[side].style === 'none' || sides[side].style === 'hidden') {
+                sides[side].width = 0;
+            }
+        }
+        return sides;
+    }
+
+    /**
+     * Parse a border shorthand value (`1px dashed #ccc`, in any order) into
+     * `{ width, style, color }`, with null for the parts it leaves out
+     * @private
+     */
+    _parseBorderValue(value, fontSize = DEFAULT_FONT_SIZE) {
+        const border = { width: null, style: null, color: null };
+
+        // Functional colors keep their spaces
+        for (const token of value.match(/[^\s(]+(?:\([^)]*\))?/g) || []) {
+            const lower = token.toLowerCase();
+            const length = BORDER_WIDTH_KEYWORDS[lower] !== undefined
+                ? BORDER_WIDTH_KEYWORDS[lower]
+                : this._resolveLength(token, { fontSize });
+
+            if (border.width === null && length !== null) {
+                border.width = length;
+            } else if (border.style === null && BORDER_STYLES.has(lower)) {
+                border.style = lower;
+            } else if (border.color === null) {
+                border.color = this._parseColor(token);
+            }
+        }
+        return border;
+    }
+
+    /**
+     * Extract a background color from `background-color` or `background`
+     * @private
+     */
+    _extractBackgroundColor(style) {
+        if (!style) return null;
+
+        // The later of background-color and the background shorthand wins
+        let color = null;
+        for (const declaration of this._parseDeclarations(style)) {
+            if (declaration.property === 'background-color') {
+                color = this._parseColor(declaration.value);
+            } else if (declaration.property === 'background') {
+                const tokens = declaration.value.match(/[^\s(]+(?:\([^)]*\))?/g) || [];
+                color = tokens.map(token => this._parseColor(token)).find(Boolean) || null;
+            }
+        }
+        return color;
+    }
+
+    /**
+     * Check if element should be hidden
+     * @private
+     */
+    _isHidden(node) {
+        if (node.attributes && 'hidden' in node.attributes) {
+            this._log(`Element hidden due to hidden attribute`, 'debug');
+            return true;
+        }
+
+        const styleValue = this._getStyle(node);
+        if (!styleValue) return false;
+
+        // Check for display: none
+        if (/^none$/i.test(this._styleValue(styleValue, 'display') || '')) {
+            this._log(`Element hidden due to display:none`, 'debug');
+            return true;
+        }
+
+        // Check for visibility: hidden
+        if (/^(hidden|collapse)$/i.test(this._styleValue(styleValue, 'visibility') || '')) {
+            this._log(`Element hidden due to visibility:hidden`, 'debug');
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Generate stable PDF with minimal complexity
+     * @private
+     */
+    async _generateStablePDF(content, options, resources = {}) {
+        const chunks = [];
+        for await (const chunk of this._generatePDFChunks(content, options, resources)) {
+            chunks.push(chunk);
+        }
+        return Buffer.concat(chunks);
+    }
+
+    /**
+     * Generate the PDF file as a sequence of Buffers. Each page's content
+     * stream, and any images it introduces, is written as soon as the page
+     * is laid out; headers and footers, fonts and the small dictionaries
+     * that refer to them follow once the page count and glyph usage are known.
+     * @private
+     */
+    async *_generatePDFChunks(content, options, resources = {}) {
+        // Glyph usage is collected per document while text is encoded, as
+        // a map from font entry to the glyphs used, so that documents
+        // generated concurrently on one instance do not share it
+        options = { ...options, usedGlyphs: new Map() };
+
+        const writer = this._createPDFWriter(options.compress && options.objectStreams);
+        yield writer.header();
+
+        // Object 1: Catalog, Object 2: Pages, Object 3: the resources shared by
+        // every page; the rest are numbered in the order they are written
+        let nextObject = 4;
+        const allocate = () => nextObject++;
+        const pages = [];
+        const imageRefs = new Map();
+
+        const writeImages = (images) => {
+            const objects = [];
+            for (const image of images) {
+                if (!imageRefs.has(image)) {
+                    imageRefs.set(image, this._writeImage(image, objects, allocate, options.compress));
+                }
+            }
+            return writer.objects(objects);
+        };
+
+        this._settleTablesOfContents(content, options);
+
+        for (const page of this._layoutPages(content, options)) {
+            const contentRef = allocate();
+            yield writer.object(contentRef, this._streamObject([], Buffer.from(page.stream, 'utf8'), options.compress));
+            yield* writeImages(page.images);
+            pages.push({ contents: [contentRef], links: page.links, anchors: page.anchors, headings: page.headings });
+        }
+
+        // Headers and footers show the page count, so they are drawn into a
+        // second content stream per page once layout is done
+        const chrome = pages.map(() => ({ stream: '', images: [], links: [] }));
+        await this._renderPageChrome(chrome, options, resources.images || new Map());
+        for (let index = 0; index < pages.length; index++) {
+            pages[index].links.push(...chrome[index].links);
+            if (!chrome[index].stream) continue;
+
+            const contentRef = allocate();
+            yield writer.object(contentRef, this._streamObject([], Buffer.from(chrome[index].stream, 'utf8'), options.compress));
+            yield* writeImages(chrome[index].images);
+            pages[index].contents.push(contentRef);
+        }
+
+        // Fonts, the Info dictionary, XMP metadata, named destinations, the
+        // outline, then the page tree and its link annotations
+        const objects = [];
+
+        const fontResources = Object.entries(FONTS).map(([name, baseFont]) =>
+            `/${name} << /Type /Font /Subtype /Type1 /BaseFont /${baseFont} /Encoding /WinAnsiEncoding >>`);
+        for (const [entry, usedGlyphs] of options.usedGlyphs) {
+            if (usedGlyphs.size === 0) continue;
+            const fontRef = this._writeEmbeddedFont(entry, usedGlyphs, objects, allocate, options.compress);
+            fontResources.push(`/${entry.name} ${fontRef} 0 R`);
+        }
+
+        const infoRef = allocate();
+        objects[infoRef] = this._infoDictionary(options);
+
+        // Page objects are numbered up front, as destinations refer to them
+        const pageRefs = pages.map(() => allocate());
+        const destinations = this._collectDestinations(pages, pageRefs);
+
+        const catalog = ['<<', '/Type /Catalog', '/Pages 2 0 R'];
+        if (options.xmp) {
+            const metadataRef = allocate();
+            objects[metadataRef] = this._streamObject(['/Type /Metadata', '/Subtype /XML'], Buffer.from(this._xmpMetadata(options), 'utf8'));
+            catalog.push(`/Metadata ${metadataRef} 0 R`);
+        }
+        if (destinations.size > 0) {
+            const destsRef = allocate();
+            objects[destsRef] = this._destinationTree(destinations);
+            catalog.push(`/Names << /Dests ${destsRef} 0 R >>`);
+        }
+        if (options.bookmarks) {
+            const outlinesRef = this._writeOutline(pages, pageRefs, objects, allocate);
+            if (outlinesRef) {
+                catalog.push(`/Outlines ${outlinesRef} 0 R`, '/PageMode /UseOutlines');
+            }
+        }
+        catalog.push('>>');
+        objects[1] = catalog.join('\n');
+
+        // Image names are unique within the document, so one resource
+        // dictionary serves every page
+        const xobjects = imageRefs.size > 0
+            ? ['/XObject <<', ...[...imageRefs].map(([image, ref]) => `/${image.name} ${ref} 0 R`), '>>']
+            : [];
+        objects[3] = ['<<', '/Font <<', ...fontResources, '>>', ...xobjects, '>>'].join('\n');
+
+        pages.forEach((page, index) => {
+            const contents = page.contents.map(ref => `${ref} 0 R`).join(' ');
+            const annotations = [];
+            for (const link of page.links) {
+                const annotation = this._linkAnnotation(link, destinations);
+                if (!annotation) continue;
+
+                const annotationRef = allocate();
+                objects[annotationRef] = annotation;
+                annotations.push(`${annotationRef} 0 R`);
+            }
+
+            objects[pageRefs[index]] = [
+                '<<',
+                '/Type /Page',
+                '/Parent 2 0 R',
+                `/MediaBox [0 0 ${options.pageWidth} ${options.pageHeight}]`,
+                '/Resources 3 0 R',
+                `/Contents ${page.contents.length > 1 ? `[${contents}]` : contents}`,
+                ...(annotations.length > 0 ? [`/Annots [${annotations.join(' ')}]`] : []),
+                '>>'
+            ].join('\n');
+        });
+
+        objects[2] = [
+            '<<',
+            '/Type /Pages',
+            `/Kids [${pageRefs.map(ref => `${ref} 0 R`).join(' ')}]`,
+            `/Count ${pages.length}`,
+            '>>'
+        ].join('\n');
+
+        yield* writer.objects(objects);
+
+        this._log(`Wrote ${nextObject - 1} objects for ${pages.length} page(s)`, 'debug');
+        this.statistics.pagesGenerated += pages.length;
+
+        yield writer.finish(nextObject, { Root: '1 0 R', Info: `${infoRef} 0 R` });
+    }
+
+    /**
+     * Map each element id to the page and height it was laid out at, as
+     * `[pageRef 0 R /XYZ null y null]` destinations. The first element
+     * with an id wins, as in browsers.
+     * @private
+     */
+    _collectDestinations(pages, pageRefs) {
+        const destinations = new Map();
+
+        pages.forEach((page, index) => {
+            for (const { id, y } of page.anchors) {
+                if (destinations.has(id)) {
+                    this._log(`Duplicate id "${id}"; links go to its first occurrence`, 'warn');
+                    continue;
+                }
+                destinations.set(id, `[${pageRefs[index]} 0 R /XYZ null ${Math.round(y * 100) / 100} null]`);
+            }
+        });
+
+        return destinations;
+    }
+
+    /**
+     * Write the document outline (bookmarks) from the headings on each page,
+     * nesting each heading under the closest heading of a higher level
+     * before it. Returns the object number of the outline root, or null if
+     * the document has no headings.
+     * @private
+     */
+    _writeOutline(pages, pageRefs, objects, allocate) {
+        const root = { children: [] };
+        const stack = [];
+
+        pages.forEach((page, index) => {
+            for (const heading of page.headings) {
+                while (stack.length > 0 && stack[stack.length - 1].level >= heading.level) {
+                    stack.pop();
+                }
+                const entry = {
+                    ...heading,
+                    dest: `[${pageRefs[index]} 0 R /XYZ null ${Math.round(heading.y * 100) / 100} null]`,
+                    children: []
+                };
+                (stack.length > 0 ? stack[stack.length - 1] : root).children.push(entry);
+                stack.push(entry);
+            }
+        });
+
+        if (root.children.length === 0) {
+            this._log('bookmarks is set but the document has no headings', 'debug');
+            return null;
+        }
+
+        // Number entries depth first; every entry starts expanded, so its
+        // count is the number of entries below it
+        const number = (entry) => {
+            entry.ref = allocate();
+            entry.count = 0;
+            for (const child of entry.children) {
+                entry.count += 1 + number(child);
+            }
+            return entry.count;
+        };
+        number(root);
+
+        const write = (entry, parentRef) => {
+            entry.children.forEach((child, index) => {
+                const previous = entry.children[index - 1];
+                const next = entry.children[index + 1];
+                objects[child.ref] = [
+                    '<<',
+                    `/Title ${this._encodePDFTextString(child.title)}`,
+                    `/Parent ${parentRef} 0 R`,
+                    ...(previous ? [`/Prev ${previous.ref} 0 R`] : []),
+                    ...(next ? [`/Next ${next.ref} 0 R`] : []),
+                    ...(child.children.length > 0 ? [
+                        `/First ${child.children[0].ref} 0 R`,
+                        `/Last ${child.children[child.children.length - 1].ref} 0 R`,
+                        `/Count ${child.count}`
+                    ] : []),
+                    `/Dest ${child.dest}`,
+                    '>>'
+                ].join('\n');
+                write(child, child.ref);
+            });
+        };
+        write(root, root.ref);
+
+        objects[root.ref] = [
+            '<<',
+            '/Type /Outlines',
+            `/First ${root.children[0].ref} 0 R`,
+            `/Last ${root.children[root.children.length - 1].ref} 0 R`,
+            `/Count ${root.count}`,
+            '>>'
+        ].join('\n');
+
+        return root.ref;
+    }
+
+    /**
+     * Build the name tree of named destinations. A single leaf holds every
+     * name, sorted by the bytes of its encoded string as the format requires.
+     * @private
+     */
+    _destinationTree(destinations) {
+        const bytes = (name) => /^[\x20-\x7E]*$/.test(name)
+            ? Buffer.from(name, 'latin1')
+            : Buffer.concat([Buffer.from([0xFE, 0xFF]), Buffer.from(name, 'utf16le').swap16()]);
+        const names = [...destinations.keys()].sort((a, b) => Buffer.compare(bytes(a), bytes(b)));
+
+        return [
+            '<<',
+            '/Names [',
+            ...names.map(name => `${this._encodePDFTextString(name)} ${destinations.get(name)}`),
+            ']',
+            '>>'
+        ].join('\n');
+    }
+
+    /**
+     * Build the Link annotation for a link area: a GoTo action to a named
+     * destination for `#id` hrefs, otherwise a URI action. Returns null for
+     * links that cannot be followed.
+     * @private
+     */
+    _linkAnnotation(link, destinations) {
+        let action;
+
+        if (link.href.startsWith('#')) {
+            let id = link.href.substring(1);
+            try {
+                id = decodeURIComponent(id);
+            } catch (error) {
+                // Not percent-encoded; use the fragment as written
+            }
+            if (!destinations.has(id)) {
+                this._log(`Link to "${link.href}" has no matching id; leaving it unlinked`, 'warn');
+                return null;
+            }
+            action = `<< /S /GoTo /D ${this._encodePDFTextString(id)} >>`;
+        } else if (/^javascript:/i.test(link.href)) {
+            this._log(`Ignoring javascript: link`, 'debug');
+            return null;
+        } else {
+            // URIs are 7-bit ASCII, so anything else is percent-encoded
+            const uri = link.href.replace(/[^\x21-\x7E]/gu, char => encodeURIComponent(char));
+            action = `<< /S /URI /URI (${this._escapePDFString(uri)}) >>`;
+        }
+
+        return [
+            '<<',
+            '/Type /Annot',
+            '/Subtype /Link',
+            `/Rect [${link.rect.map(value => value.toFixed(2)).join(' ')}]`,
+            '/Border [0 0 0]',
+            `/A ${action}`,
+            '>>'
+        ].join('\n');
+    }
+
+    /**
+     * Write an image XObject, and the soft mask carrying its transparency,
+     * into `objects`. Returns the object number of the image.
+     * @private
+     */
+    _writeImage(image, objects, allocate, compress = false) {
+        const imageRef = allocate();
+
+        const dictionary = [
+            '/Type /XObject',
+            '/Subtype /Image',
+            `/Width ${image.width}`,
+            `/Height ${image.height}`,
+            `/ColorSpace /${image.colorSpace}`,
+            `/BitsPerComponent ${image.bitsPerComponent}`,
+            `/Filter /${image.filter}`
+        ];
+        if (image.decode) {
+            dictionary.push(`/Decode [${image.decode.join(' ')}]`);
+        }
+        if (image.smask) {
+            const maskRef = allocate();
+            dictionary.push(`/SMask ${maskRef} 0 R`);
+            objects[maskRef] = this._streamObject([
+                '/Type /XObject',
+                '/Subtype /Image',
+                `/Width ${image.width}`,
+                `/Height ${image.height}`,
+                '/ColorSpace /DeviceGray',
+                '/BitsPerComponent 8',
+                '/Filter /FlateDecode'
+            ], image.smask, compress);
+        }
+        objects[imageRef] = this._streamObject(dictionary, image.data, compress);
+
+        return imageRef;
+    }
+
+    /**
+     * Write a registered font as a Type 0 font with an Identity-H encoded
+     * CIDFontType2 descendant, a subset font program and a ToUnicode CMap.
+     * usedGlyphs maps the glyphs the document uses to their characters.
+     * Returns the object number of the Type 0 font.
+     * @private
+     */
+    _writeEmbeddedFont(entry, usedGlyphs, objects, allocate, compress = false) {
+        const metrics = entry.metrics;
+        const glyphs = [...usedGlyphs.keys()].sort((a, b) => a - b);
+        const scale = 1000 / metrics.unitsPerEm;
+
+        // Subset fonts are named with a tag derived from their glyphs
+        let hash = 0;
+        for (const glyph of glyphs) {
+            hash = (hash * 31 + glyph) >>> 0;
+        }
+        let tag = '';
+        for (let i = 0; i < 6; i++) {
+            tag += String.fromCharCode(65 + hash % 26);
+            hash = Math.floor(hash / 26);
+        }
+        const baseFont = `${tag}+${metrics.postScriptName}`;
+
+        const fontRef = allocate();
+        const cidFontRef = allocate();
+        const descriptorRef = allocate();
+        const fileRef = allocate();
+        const toUnicodeRef = allocate();
+
+        const widths = glyphs.map(glyph => {
+            const advance = metrics.advanceWidths[Math.min(glyph, metrics.advanceWidths.length - 1)];
+            return `${glyph} [${Math.round(advance * scale)}]`;
+        });
+
+        objects[fontRef] = [
+            '<<',
+            '/Type /Font',
+            '/Subtype /Type0',
+            `/BaseFont /${baseFont}`,
+            '/Encoding /Identity-H',
+            `/DescendantFonts [${cidFontRef} 0 R]`,
+            `/ToUnicode ${toUnicodeRef} 0 R`,
+            '>>'
+        ].join('\n');
+
+        objects[cidFontRef] = [
+            '<<',
+            '/Type /Font',
+            '/Subtype /CIDFontType2',
+            `/BaseFont /${baseFont}`,
+            '/CIDSystemInfo << /Registry (Adobe) /Ordering (Identity) /Supplement 0 >>',
+            `/FontDescriptor ${descriptorRef} 0 R`,
+            '/CIDToGIDMap /Identity',
+            `/W [${widths.join(' ')}]`,
+            '>>'
+        ].join('\n');
+
+        // Flags: symbolic (4), plus fixed pitch (1) and italic (64) when they apply
+        const flags = 4 | (metrics.fixedPitch ? 1 : 0) | (metrics.italicAngle !== 0 ? 64 : 0);
+        objects[descriptorRef] = [
+            '<<',
+            '/Type /FontDescriptor',
+            `/FontName /${baseFont}`,
+            `/Flags ${flags}`,
+            `/FontBBox [${metrics.bbox.join(' ')}]`,
+            `/ItalicAngle ${metrics.italicAngle}`,
+            `/Ascent ${metrics.ascent}`,
+            `/Descent ${metrics.descent}`,
+            `/CapHeight ${metrics.capHeight}`,
+            '/StemV 80',
+            `/FontFile2 ${fileRef} 0 R`,
+            '>>'
+        ].join('\n');
+
+        const program = this._subsetTrueType(metrics, glyphs);
+        objects[fileRef] = this._streamObject([`/Length1 ${program.length}`], program, compress);
+        objects[toUnicodeRef] = this._streamObject([], Buffer.from(this._toUnicodeCMap(usedGlyphs), 'latin1'), compress);
+
+        this._log(`Embedded font ${baseFont} with ${glyphs.length} glyph(s), ${program.length} bytes`, 'debug');
+        return fontRef;
+    }
+
+    /**
+     * Build a TrueType font containing only the given glyphs (plus .notdef
+     * and the components of composite glyphs). Glyph ids are kept, so the
+     * outlines of unused glyphs are simply left empty.
+     * @private
+     */
+    _subsetTrueType(metrics, glyphs) {
+        const { tables, glyphOffsets, numGlyphs } = metrics;
+        const glyphData = (glyph) => tables.glyf.subarray(glyphOffsets[glyph], glyphOffsets[glyph + 1]);
+
+        // Composite glyphs pull in the glyphs they are built from
+        const keep = new Set();
+        const pending = [0, ...glyphs];
+        while (pending.length > 0) {
+            const glyph = pending.pop();
+            if (keep.has(glyph)) continue;
+            keep.add(glyph);
+
+            const data = glyphData(glyph);
+            if (data.length < 10 || data.readInt16BE(0) >= 0) continue;
+
+            let offset = 10;
+            let flags;
+            do {
+                flags = data.readUInt16BE(offset);
+                pending.push(data.readUInt16BE(offset + 2));
+                offset += 4 + (flags & 0x0001 ? 4 : 2);
+                if (flags & 0x0008) offset += 2;
+                else if (flags & 0x0040) offset += 4;
+                else if (flags & 0x0080) offset += 8;
+            } while (flags & 0x0020);
+        }
+
+        // New glyf and long-format loca tables
+        const outlines = [];
+        const loca = Buffer.alloc((numGlyphs + 1) * 4);
+        let position = 0;
+        for (let glyph = 0; glyph < numGlyphs; glyph++) {
+            loca.writeUInt32BE(position, glyph * 4);
+            if (!keep.has(glyph)) continue;
+
+            const data = glyphData(glyph);
+            const padded = Buffer.alloc((data.length + 3) & ~3);
+            data.copy(padded);
+            outlines.push(padded);
+            position += padded.length;
+        }
+        loca.writeUInt32BE(position, numGlyphs * 4);
+
+        const head = Buffer.from(tables.head);
+        head.writeUInt32BE(0, 8);
+        head.writeInt16BE(1, 50);
+
+        const replaced = { glyf: Buffer.concat(outlines), loca, head };
+        const entries = SUBSET_FONT_TABLES
+            .filter(tag => tables[tag])
+            .map(tag => ({ tag, data: replaced[tag] || tables[tag] }));
+
+        const checksum = (data) => {
+            const padded = Buffer.alloc((data.length + 3) & ~3);
+            data.copy(padded);
+            let sum = 0;
+            for (let i = 0; i < padded.length; i += 4) {
+                sum = (sum + padded.readUInt32BE(i)) >>> 0;
+            }
+            return sum;
+        };
+
+        // Offset table and table directory, then the 4-byte aligned tables
+        const entrySelector = Math.floor(Math.log2(entries.length));
+        const directory = Buffer.alloc(12 + entries.length * 16);
+        directory.writeUInt32BE(0x00010000, 0);
+        directory.writeUInt16BE(entries.length, 4);
+        directory.writeUInt16BE(16 * 2 ** entrySelector, 6);
+        directory.writeUInt16BE(entrySelector, 8);
+        directory.writeUInt16BE(entries.length * 16 - 16 * 2 ** entrySelector, 10);
+
+        const chunks = [directory];
+        let offset = directory.length;
+        entries.forEach(({ tag, data }, index) => {
+            const record = 12 + index * 16;
+            directory.write(tag, record, 'latin1');
+            directory.writeUInt32BE(checksum(data), record + 4);
+            directory.writeUInt32BE(offset, record + 8);
+            directory.writeUInt32BE(data.length, record + 12);
+
+            const padded = Buffer.alloc((data.length + 3) & ~3);
+            data.copy(padded);
+            chunks.push(padded);
+            offset += padded.length;
+        });
+
+        const font = Buffer.concat(chunks);
+        const headOffset = directory.readUInt32BE(12 + entries.findIndex(entry => entry.tag === 'head') * 16 + 8);
+        font.writeUInt32BE((0xB1B0AFBA - checksum(font)) >>> 0, headOffset + 8);
+        return font;
+    }
+
+    /**
+     * Build a ToUnicode CMap mapping glyph ids back to the text they encode
+     * @private
+     */
+    _toUnicodeCMap(usedGlyphs) {
+        const hex = (value) => value.toString(16).toUpperCase().padStart(4, '0');
+        const mappings = [...usedGlyphs.entries()]
+            .sort((a, b) => a[0] - b[0])
+            .map(([glyph, text]) => {
+                let unicode = '';
+                for (let i = 0; i < text.length; i++) {
+                    unicode += hex(text.charCodeAt(i));
+                }
+                return `<${hex(glyph)}> <${unicode}>`;
+            });
+
+        const lines = [
+            '/CIDInit /ProcSet findresource begin',
+            '12 dict begin',
+            'begincmap',
+            '/CIDSystemInfo << /Registry (Adobe) /Ordering (UCS) /Supplement 0 >> def',
+            '/CMapName /Adobe-Identity-UCS def',
+            '/CMapType 2 def',
+            '1 begincodespacerange',
+            '<0000> <FFFF>',
+            'endcodespacerange'
+        ];
+
+        // bfchar blocks hold at most 100 mappings each
+        for (let i = 0; i < mappings.length; i += 100) {
+            const block = mappings.slice(i, i + 100);
+            lines.push(`${block.length} beginbfchar`, ...block, 'endbfchar');
+        }
+
+        lines.push('endcmap', 'CMapName currentdict /CMap defineresource pop', 'end', 'end');
+        return lines.join('\n');
+    }
+
+    /**
+     * Build the Info dictionary from the metadata options
+     * @private
+     */
+    _infoDictionary(options) {
+        const entries = ['<<'];
+        for (const [option, key] of Object.entries(INFO_FIELDS)) {
+            if (options[option]) {
+                entries.push(`/${key} ${this._encodePDFTextString(options[option])}`);
+            }
+        }
+        entries.push(`/CreationDate (${this._formatPDFDate(options.creationDate)})`);
+        entries.push(`/ModDate (${this._formatPDFDate(options.modificationDate)})`);
+        entries.push('>>');
+        return entries.join('\n');
+    }
+
+    /**
+     * Build an XMP packet carrying the same fields as the Info dictionary
+     * @private
+     */
+    _xmpMetadata(options) {
+        const escape = (text) => this._escapeHTML(text);
+        const lines = [
+            '<?xpacket begin="\uFEFF" id="W5M0MpCehiHzreSzNTczkc9d"?>',
+            '<x:xmpmeta xmlns:x="adobe:ns:meta/">',
+            '<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">',
+            '<rdf:Description rdf:about=""',
+            '    xmlns:dc="http://purl.org/dc/elements/1.1/"',
+            '    xmlns:pdf="http://ns.adobe.com/pdf/1.3/"',
+            '    xmlns:xmp="http://ns.adobe.com/xap/1.0/">',
+            '<dc:format>application/pdf</dc:format>'
+        ];
+
+        if (options.title) {
+            lines.push(`<dc:title><rdf:Alt><rdf:li xml:lang="x-default">${escape(options.title)}</rdf:li></rdf:Alt></dc:title>`);
+        }
+        if (options.author) {
+            lines.push(`<dc:creator><rdf:Seq><rdf:li>${escape(options.author)}</rdf:li></rdf:Seq></dc:creator>`);
+        }
+        if (options.subject) {
+            lines.push(`<dc:description><rdf:Alt><rdf:li xml:lang="x-default">${escape(options.subject)}</rdf:li></rdf:Alt></dc:description>`);
+        }
+        if (options.keywords) {
+            lines.push(`<pdf:Keywords>${escape(options.keywords)}</pdf:Keywords>`);
+        }
+        if (options.producer) {
+            lines.push(`<pdf:Producer>${escape(options.producer)}</pdf:Producer>`);
+        }
+        if (options.creator) {
+            lines.push(`<xmp:CreatorTool>${escape(options.creator)}</xmp:CreatorTool>`);
+        }
+
+        lines.push(
+            `<xmp:CreateDate>${this._formatXMPDate(options.creationDate)}</xmp:CreateDate>`,
+            `<xmp:ModifyDate>${this._formatXMPDate(options.modificationDate)}</xmp:ModifyDate>`,
+            `<xmp:MetadataDate>${this._formatXMPDate(options.modificationDate)}</xmp:MetadataDate>`,
+            '</rdf:Description>',
+            '</rdf:RDF>',
+            '</x:xmpmeta>',
+            '<?xpacket end="w"?>'
+        );
+        return lines.join('\n');
+    }
+
+    /**
+     * Encode a PDF text string: printable ASCII as a literal string,
+     * anything else as UTF-16BE with a byte order mark
+     * @private
+     */
+    _encodePDFTextString(text) {
+        if (/^[\x20-\x7E]*$/.test(text)) {
+            return `(${this._escapePDFString(text)})`;
+        }
+        const utf16 = Buffer.from(text, 'utf16le').swap16();
+        return `<FEFF${utf16.toString('hex').toUpperCase()}>`;
+    }
+
+    /**
+     * Format a date as a PDF date string, D:YYYYMMDDHHmmSS+HH'mm'
+     * @private
+     */
+    _formatPDFDate(date) {
+        const pad = (value) => String(value).padStart(2, '0');
+        const offset = -date.getTimezoneOffset();
+
+        return `D:${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}` +
+            `${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}` +
+            `${offset < 0 ? '-' : '+'}${pad(Math.floor(Math.abs(offset) / 60))}'${pad(Math.abs(offset) % 60)}'`;
+    }
+
+    /**
+     * Format a date as an ISO 8601 XMP date with the local time zone offset
+     * @private
+     */
+    _formatXMPDate(date) {
+        const pad = (value) => String(value).padStart(2, '0');
+        const offset = -date.getTimezoneOffset();
+
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+            `T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}` +
+            `${offset < 0 ? '-' : '+'}${pad(Math.floor(Math.abs(offset) / 60))}:${pad(Math.abs(offset) % 60)}`;
+    }
+
+    /**
+     * Format a date for display: 'long' (October 18, 2026), 'short'
+     * (Oct 18, 2026), 'numeric' (10/18/2026, in the locale's order) or 'iso' (2026-10-18)
+     * @private
+     */
+    _formatDate(date, style = 'long', locale = DEFAULT_NUMBER_LOCALE) {
+        if (style === 'iso') {
+            const pad = (value) => String(value).padStart(2, '0');
+            return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+        }
+        if (style === 'numeric') {
+            return date.toLocaleDateString(locale);
+        }
+        return date.toLocaleDateString(locale, { year: 'numeric', month: style === 'short' ? 'short' : 'long', day: 'numeric' });
+    }
+
+    /**
+     * Convert a Date, timestamp or date string to a valid Date, failing
+     * with the given error code
+     * @private
+     */
+    _toDate(value, name, code = 'INVALID_OPTION') {
+        const date = value instanceof Date ? value : new Date(value);
+        if (isNaN(date.getTime())) {
+            throw this._error(code, `Invalid ${name} value "${value}", expected a Date, a timestamp or a date string`);
+        }
+        return date;
+    }
+
+    /**
+     * Get the text of the document's <title>, or null
+     * @private
+     */
+    _extractTitle(document) {
+        const title = this._findElement(document, 'title');
+        if (!title) return null;
+
+        const text = title.children.map(child => child.text || '').join('').replace(/\s+/g, ' ').trim();
+        return text || null;
+    }
+
+    /**
+     * Build a stream object from dictionary entries and binary data,
+     * deflating the data when `compress` is set
+     * @private
+     */
+    _streamObject(dictionary, data, compress = false) {
+        // Data with a filter of its own (JPEG, PNG) is already compressed
+        if (compress && !dictionary.some(entry => entry.startsWith('/Filter'))) {
+            data = zlib.deflateSync(data);
+            dictionary = [...dictionary, '/Filter /FlateDecode'];
+        }
+
+        const header = ['<<', ...dictionary, `/Length ${data.length}`, '>>', 'stream', ''].join('\n');
+        return Buffer.concat([Buffer.from(header, 'latin1'), data, Buffer.from('\nendstream', 'latin1')]);
+    }
+
+    /**
+     * Create a writer that turns numbered objects into chunks of the PDF
+     * file, tracking the byte offset of each for the cross-reference table.
+     * Objects are strings, or Buffers for streams with binary data. With
+     * `objectStreams`, the string objects are held back and packed into a
+     * compressed object stream indexed by a cross-reference stream (PDF 1.5).
+     * @private
+     */
+    _createPDFWriter(objectStreams = false) {
+        const offsets = [];
+        const packed = [];
+        let position = 0;
+
+        const chunk = (...parts) => {
+            const data = Buffer.concat(parts.map(part => Buffer.isBuffer(part) ? part : Buffer.from(part, 'utf8')));
+            position += data.length;
+            return data;
+        };
+
+        const writer = {
+            // PDF Header, followed by a comment with high-bit bytes marking the file as binary
+            header: () => chunk(`%PDF-${objectStreams ? '1.5' : '1.4'}\n`, Buffer.from([0x25, 0xE2, 0xE3, 0xCF, 0xD3, 0x0A])),
+
+            // Streams cannot go inside an object stream, so they are always written directly
+            object: (number, data) => {
+                if (objectStreams && !Buffer.isBuffer(data)) {
+                    packed.push([number, data]);
+                    return Buffer.alloc(0);
+                }
+                offsets[number] = position;
+                return chunk(`${number} 0 obj\n`, data, '\nendobj\n');
+            },
+
+            // Chunks for an array of objects indexed by object number
+            objects: (objects) => {
+                const chunks = [];
+                objects.forEach((data, number) => chunks.push(writer.object(number, data)));
+                return chunks;
+            },
+
+            finish: (size, trailerEntries) => {
+                if (!objectStreams) {
+                    // Cross-reference table - every entry is exactly 20 bytes
+                    const xrefPos = position;
+                    const xref = ['xref', `0 ${size}`, '0000000000 65535 f '];
+                    for (let i = 1; i < size; i++) {
+                        xref.push(String(offsets[i]).padStart(10, '0') + ' 00000 n ');
+                    }
+
+                    // Trailer
+                    const trailer = ['trailer', '<<', `/Size ${size}`];
+                    for (const [key, value] of Object.entries(trailerEntries)) {
+                        trailer.push(`/${key} ${value}`);
+                    }
+                    trailer.push('>>', 'startxref', String(xrefPos), '%%EOF');
+
+                    return chunk(xref.concat(trailer).join('\n'));
+                }
+
+                // Object stream: "number offset" pairs, then the objects themselves
+                const objectStreamRef = size;
+                const pairs = [];
+                let offset = 0;
+                for (const [number, data] of packed) {
+                    pairs.push(`${number} ${offset}`);
+                    offset += Buffer.byteLength(data, 'utf8') + 1;
+                }
+                const index = `${pairs.join(' ')}\n`;
+                const objectStream = writer.object(objectStreamRef, this._streamObject([
+                    '/Type /ObjStm',
+                    `/N ${packed.length}`,
+                    `/First ${Buffer.byteLength(index, 'utf8')}`
+                ], Buffer.from(index + packed.map(([, data]) => `${data}\n`).join(''), 'utf8'), true));
+
+                // Cross-reference stream - 7-byte rows of type, offset or object stream, generation or index
+                const xrefRef = objectStreamRef + 1;
+                const xrefPos = position;
+                offsets[xrefRef] = xrefPos;
+
+                const rows = Buffer.alloc((xrefRef + 1) * 7);
+                rows.writeUInt16BE(0xFFFF, 5);
+                const packedIndex = new Map(packed.map(([number], i) => [number, i]));
+                for (let i = 1; i <= xrefRef; i++) {
+                    if (packedIndex.has(i)) {
+                        rows.writeUInt8(2, i * 7);
+                        rows.writeUInt32BE(objectStreamRef, i * 7 + 1);
+                        rows.writeUInt16BE(packedIndex.get(i), i * 7 + 5);
+                    } else {
+                        rows.writeUInt8(1, i * 7);
+                        rows.writeUInt32BE(offsets[i], i * 7 + 1);
+                    }
+                }
+
+                const dictionary = ['/Type /XRef', `/Size ${xrefRef + 1}`, '/W [1 4 2]'];
+                for (const [key, value] of Object.entries(trailerEntries)) {
+                    dictionary.push(`/${key} ${value}`);
+                }
+                const xrefStream = chunk(
+                    `${xrefRef} 0 obj\n`,
+                    this._streamObject(dictionary, rows, true),
+                    '\nendobj\n',
+                    ['startxref', String(xrefPos), '%%EOF'].join('\n')
+                );
+
+                return Buffer.concat([objectStream, xrefStream]);
+            }
+        };
+
+        return writer;
+    }
+
+    /**
+     * Generate content streams, starting a new page whenever content
+     * would overflow the bottom margin
+     * @private
+     */
+    _generateContentStream(content, options, layout = this._createLayout(options)) {
+        return [...this._layoutPages(content, options, layout)];
+    }
+
+    /**
+     * Lay out content items, yielding each page as soon as it is complete
+     * @private
+     */
+    *_layoutPages(content, options, layout = this._createLayout(options)) {
+        this._log(`Starting content stream generation with ${content.length} items`, 'debug');
+
+        for (let i = 0; i < content.length; i++) {
+            const item = content[i];
+
+            try {
+                this._log(`Processing item ${i}: type=${item.type}, text="${item.text || 'N/A'}", currentY=${layout.currentY}`, 'debug');
+
+                if (item.type === 'anchor') {
+                    layout.anchors.push(...item.ids.map(id => ({ id, y: layout.currentY, streamLength: layout.stream.length })));
+                } else if (item.type === 'boxStart') {
+                    this._openBox(item, layout);
+                } else if (item.type === 'boxEnd') {
+                    this._closeBox(item, layout);
+                } else if (item.type === 'line') {
+                    this._layoutRule(item, layout);
+                } else if (item.type === 'table') {
+                    this._layoutTable(item, layout);
+                } else if (item.type === 'toc') {
+                    this._layoutTableOfContents(item, layout);
+                } else if (item.type === 'image') {
+                    this._layoutImage(item, layout);
+                } else if (item.text && item.text.trim()) {
+                    this._layoutText(item, layout);
+                } else {
+                    this._log(`Skipping item with no text: type=${item.type}`, 'debug');
+                }
+
+            } catch (error) {
+                this.statistics.elementsDropped.invalid++;
+                this._log(`Error rendering item ${i}: ${error.message}`, 'warn');
+            }
+
+            // Hand over the pages this item completed
+            yield* layout.pages.splice(0);
+        }
+
+        // Always emit the last page, even when it is empty
+        layout.finish();
+
+        this._log(`Generated ${layout.pageCount} page content stream(s)`, 'debug');
+        yield* layout.pages.splice(0);
+    }
+
+    /**
+     * Draw the header and footer of every page into its top and bottom
+     * margins, once the page count is known
+     * @private
+     */
+    async _renderPageChrome(pages, options, images) {
+        if (!options.header && !options.footer) return;
+
+        const values = {
+            pages: pages.length,
+            date: this._formatDate(options.creationDate, 'long', DEFAULT_NUMBER_LOCALE),
+            title: options.title
+        };
+
+        // Pages with the same fragment share its layout
+        const laidOut = new Map();
+
+        for (let index = 0; index < pages.length; index++) {
+            const page = pages[index];
+            const pageNumber = index + 1;
+
+            for (const position of ['header', 'footer']) {
+                const fragment = this._selectChromeFragment(options[position], pageNumber, pages.length);
+                if (!fragment) continue;
+
+                const html = this._fillPlaceholders(fragment, { ...values, page: pageNumber });
+                const key = `${position}:${html}`;
+                if (!laidOut.has(key)) {
+                    laidOut.set(key, await this._layoutChrome(html, position, options, images));
+                }
+
+                const chrome = laidOut.get(key);
+                if (!chrome) continue;
+                page.stream += `\n${chrome.stream}`;
+                page.images.push(...chrome.images.filter(image => !page.images.includes(image)));
+                page.links.push(...chrome.links);
+            }
+        }
+    }
+
+    /**
+     * Pick the header or footer for a page: an HTML string, a callback
+     * `(pageNumber, totalPages) => html`, or an object of `first`, `odd`,
+     * `even` and `default` variants holding either
+     * @private
+     */
+    _selectChromeFragment(value, pageNumber, totalPages) {
+        let fragment = value;
+
+        if (value && typeof value === 'object') {
+            const variants = [pageNumber === 1 ? 'first' : null, pageNumber % 2 === 1 ? 'odd' : 'even', 'default'];
+            fragment = variants
+                .filter(Boolean)
+                .map(variant => value[variant])
+                .find(candidate => candidate !== undefined);
+        }
+
+        if (typeof fragment === 'function') {
+            fragment = fragment(pageNumber, totalPages);
+        }
+
+        // null, false or an empty string leave the page without one
+        return fragment === null || fragment === undefined || fragment === false ? '' : String(fragment);
+    }
+
+    /**
+     * Replace {{page}}, {{pages}}, {{date}} and {{title}} with escaped values
+     * @private
+     */
+    _fillPlaceholders(html, values) {
+        return html.replace(/\{\{\s*(page|pages|date|title)\s*\}\}/g, (match, name) => this._escapeHTML(values[name]));
+    }
+
+    /**
+     * Lay out a header or footer fragment across the content width, placed
+     * half the top margin below the page's top edge or with its bottom half
+     * the bottom margin above the bottom edge. Returns null for fragments
+     * with no content.
+     * @private
+     */
+    async _layoutChrome(html, position, options, images) {
+        const document = this._parseHTML(html);
+        this._applyStyles(document, options);
+        this._applyNumberFormats(document, options);
+        await this._loadImages(document, options, images);
+
+        const content = this._extractTextContent(document, { images });
+
+        // Margins at the fragment's edges would push it out of its band
+        const edge = item => (item.box || item);
+        const items = content.filter(item => item.type !== 'anchor');
+        if (items.length === 0) return null;
+        edge(items[0]).marginTop = 0;
+        edge(items[items.length - 1]).marginBottom = 0;
+
+        // An unbounded page, so the fragment never breaks
+        const layout = this._createLayout({ ...options, margin: { ...options.margin, top: 0, bottom: -Infinity } });
+        const [page] = this._generateContentStream(content, options, layout);
+        const height = layout.topY - layout.currentY;
+
+        const offset = position === 'header'
+            ? -options.margin.top / 2
+            : options.margin.bottom / 2 - layout.currentY;
+
+        const band = position === 'header' ? options.margin.top / 2 : options.margin.bottom / 2;
+        if (height > band) {
+            this._log(`The ${position} is ${height.toFixed(1)}pt tall and overlaps the page content; increase margin.${position === 'header' ? 'top' : 'bottom'}`, 'warn');
+        }
+
+        return {
+            stream: ['q', `1 0 0 1 0 ${offset.toFixed(2)} cm`, page.stream, 'Q'].join('\n'),
+            images: page.images,
+            links: page.links.map(({ href, rect }) => ({ href, rect: [rect[0], rect[1] + offset, rect[2], rect[3] + offset] }))
+        };
+    }
+
+    /**
+     * Create the mutable layout state shared by the item renderers:
+     * the current page's operators, the vertical position and page breaks
+     * @private
+     */
+    _createLayout(options) {
+        const topY = options.pageHeight - options.margin.top;
+
+        const layout = {
+            // Completed pages not yet handed over, and the number completed so far
+            pages: [],
+            pageCount: 0,
+            stream: [],
+            topY: topY,
+            bottomY: options.margin.bottom,
+            left: options.margin.left,
+            width: options.pageWidth - options.margin.left - options.margin.right,
+            currentY: topY,
+            lineHeightMultiplier: 1.5, // Standard line height multiplier
+
+            // Whether anything has been placed on the current page yet
+            atPageTop: () => layout.currentY >= topY,
+
+            // Images drawn on the current page, for its XObject resources
+            images: new Set(),
+
+            // Glyphs of embedded fonts used by the document, by font entry
+            usedGlyphs: options.usedGlyphs || new Map(),
+
+            // Link areas `{ href, rect }`, element anchors `{ id, y }` and
+            // headings `{ level, title, y }` on the current page
+            links: [],
+            anchors: [],
+            headings: [],
+
+            // Open boxes, outermost first
+            boxes: [],
+
+            newPage: () => {
+                // Anchors with nothing drawn after them belong to the content
+                // that starts the next page
+                const carried = layout.anchors.filter(anchor => anchor.streamLength === layout.stream.length);
+                layout.anchors = layout.anchors.filter(anchor => !carried.includes(anchor));
+
+                // Open boxes are split: draw their part on this page and
+                // continue them from the top of the next
+                for (let i = layout.boxes.length - 1; i >= 0; i--) {
+                    this._drawBoxFragment(layout, layout.boxes[i], layout.bottomY, false);
+                }
+                for (const frame of layout.boxes) {
+                    frame.top = topY;
+                    frame.streamIndex = 0;
+                    frame.continued = true;
+                }
+
+                layout.finish();
+                layout.currentY = topY;
+                layout.anchors = carried.map(anchor => ({ ...anchor, y: topY, streamLength: 0 }));
+                this._log(`Starting page ${layout.pageCount + 1}`, 'debug');
+            },
+
+            finish: () => {
+                layout.pages.push({
+                    stream: layout.stream.join('\n'),
+                    images: [...layout.images],
+                    links: layout.links,
+                    anchors: layout.anchors.map(({ id, y }) => ({ id, y })),
+                    headings: layout.headings
+                });
+                layout.pageCount++;
+                layout.stream = [];
+                layout.images = new Set();
+                layout.links = [];
+                layout.anchors = [];
+                layout.headings = [];
+            }
+        };
+
+        return layout;
+    }
+
+    /**
+     * Open a box: apply its top margin, border and padding and narrow the
+     * layout to its content area until the matching boxEnd
+     * @private
+     */
+    _openBox(item, layout) {
+        const { box } = item;
+        const indent = item.indent || 0;
+        const topInset = box.border.top.width + box.padding.top;
+
+        // Start on a new page when not even the top edge and one line fit
+        const lineHeight = DEFAULT_FONT_SIZE * layout.lineHeightMultiplier;
+        if (layout.currentY - box.marginTop - topInset - lineHeight < layout.bottomY && !layout.atPageTop()) {
+            layout.newPage();
+        } else {
+            layout.currentY -= box.marginTop;
+        }
+
+        const leftInset = box.border.left.width + box.padding.left;
+        const rightInset = box.border.right.width + box.padding.right;
+        layout.boxes.push({
+            box,
+            x: layout.left + indent,
+            width: layout.width - indent,
+            top: layout.currentY,
+            streamIndex: layout.stream.length,
+            continued: false,
+            left: layout.left,
+            contentWidth: layout.width
+        });
+
+        layout.left += leftInset;
+        layout.width -= leftInset + rightInset;
+        layout.currentY -= topInset;
+    }
+
+    /**
+     * Close the innermost box: apply its bottom padding and border, draw
+     * its last fragment and restore the layout width
+     * @private
+     */
+    _closeBox(item, layout) {
+        const frame = layout.boxes.pop();
+        if (!frame) return;
+
+        const { box } = frame;
+        layout.currentY = Math.max(layout.bottomY, layout.currentY - box.padding.bottom - box.border.bottom.width);
+        this._drawBoxFragment(layout, frame, layout.currentY, true);
+
+        layout.left = frame.left;
+        layout.width = frame.contentWidth;
+        layout.currentY -= box.marginBottom;
+    }
+
+    /**
+     * Draw the background and borders of the part of a box on the current
+     * page, inserted behind the content drawn since the fragment started.
+     * Boxes split across pages have no bottom border before the break and
+     * no top border after it.
+     * @private
+     */
+    _drawBoxFragment(layout, frame, bottom, isLast) {
+        const { box, x, width } = frame;
+        const height = frame.top - bottom;
+        if (height <= 0) return;
+
+        const ops = [];
+        if (box.background) {
+            this._fillRect(ops, x, bottom, width, height, box.background);
+        }
+
+        const sides = {
+            top: [x, frame.top - box.border.top.width, width, box.border.top.width],
+            bottom: [x, bottom, width, box.border.bottom.width],
+            left: [x, bottom, box.border.left.width, height],
+            right: [x + width - box.border.right.width, bottom, box.border.right.width, height]
+        };
+        for (const side of BOX_SIDES) {
+            if ((side === 'top' && frame.continued) || (side === 'bottom' && !isLast)) continue;
+            this._drawBorderSide(ops, sides[side], box.border[side], side === 'top' || side === 'bottom');
+        }
+
+        layout.stream.splice(frame.streamIndex, 0, ...ops);
+    }
+
+    /**
+     * Draw one side of a box border occupying the rectangle [x, y, w, h]:
+     * filled for solid borders, a dashed or dotted line along its middle otherwise
+     * @private
+     */
+    _drawBorderSide(stream, [x, y, width, height], border, horizontal) {
+        if (border.width <= 0) return;
+
+        if (border.style !== 'dashed' && border.style !== 'dotted') {
+            this._fillRect(stream, x, y, width, height, border.color);
+            return;
+        }
+
+        const [r, g, b] = this._hexToRgb(border.color);
+        const lineWidth = border.width;
+        const [x1, y1, x2, y2] = horizontal
+            ? [x, y + height / 2, x + width, y + height / 2]
+            : [x + width / 2, y, x + width / 2, y + height];
+
+        stream.push('q');
+        stream.push(`${r} ${g} ${b} RG`);
+        stream.push(`${lineWidth} w`);
+        stream.push(border.style === 'dotted'
+            ? `1 J [0 ${(lineWidth * 2).toFixed(2)}] 0 d`
+            : `[${(lineWidth * 3).toFixed(2)} ${(lineWidth * 3).toFixed(2)}] 0 d`);
+        stream.push(`${x1.toFixed(2)} ${y1.toFixed(2)} m`);
+        stream.push(`${x2.toFixed(2)} ${y2.toFixed(2)} l`);
+        stream.push('S');
+        stream.push('Q');
+    }
+
+    /**
+     * Draw a horizontal rule across the content width
+     * @private
+     */
+    _layoutRule(item, layout) {
+        // Break before the rule if it would land inside the bottom margin
+        if (layout.currentY - (item.marginTop || 8) < layout.bottomY) {
+            layout.newPage();
+        } else {
+            layout.currentY -= (item.marginTop || 8);
+        }
+
+        // Draw line
+        const stream = layout.stream;
+        const lineY = layout.currentY;
+        const lineX1 = layout.left + (item.indent || 0);
+        const lineX2 = layout.left + layout.width;
+
+        stream.push('q'); // Save state
+        stream.push('0.7 0.7 0.7 RG'); // Gray color
+        stream.push('1 w'); // Line width
+        stream.push(`${lineX1} ${lineY} m`); // Move to start
+        stream.push(`${lineX2} ${lineY} l`); // Line to end
+        stream.push('S'); // Stroke
+        stream.push('Q'); // Restore state
+
+        layout.currentY -= (item.marginBottom || 8);
+    }
+
+    /**
+     * Lay out a heading or paragraph, wrapping lines and breaking pages
+     * @private
+     */
+    _layoutText(item, layout) {
+        // Calculate line height
+        const fontSize = Math.max(8, Math.min(24, item.fontSize || 12));
+        const lineHeight = fontSize * layout.lineHeightMultiplier;
+
+        // A line taller than the printable area can never be placed
+        if (lineHeight > layout.topY - layout.bottomY) {
+            this.statistics.elementsDropped.overflow++;
+            this._log(`Dropping item: line height ${lineHeight} exceeds printable page height`, 'warn');
+            return;
+        }
+
+        // Break the styled runs into lines that fit between the left and right margins
+        const indent = item.indent || 0;
+        const lines = this._wrapRuns(this._getRuns(item), fontSize, layout.width - indent);
+
+        // Apply top margin, moving to the next page if the first line would not fit.
+        // The top margin is dropped at the start of a fresh page.
+        const marginTop = item.marginTop > 0 ? item.marginTop : 0;
+        if (layout.currentY - marginTop - lineHeight < layout.bottomY && !layout.atPageTop()) {
+            layout.newPage();
+        } else {
+            layout.currentY -= marginTop;
+        }
+
+        // Headings are remembered where they start, for the document outline
+        // and the page numbers in tables of contents
+        if (item.type === 'heading') {
+            layout.headings.push({ level: item.level || 1, title: item.text, y: layout.currentY });
+            item.pageNumber = layout.pageCount + 1;
+        }
+
+        for (let lineIndex = 0; lineIndex < lines.length; lineIndex++) {
+            // Continuation lines break onto the next page on their own
+            if (lineIndex > 0 && layout.currentY - lineHeight < layout.bottomY) {
+                layout.newPage();
+            }
+
+            // In PDF, Y coordinate is the baseline of text, so we need to adjust
+            const textY = layout.currentY - fontSize;
+            const { offset, wordSpacing } = this._alignLine(lines[lineIndex], layout.width - indent, item.align, lineIndex === lines.length - 1);
+            this._renderLine(layout.stream, lines[lineIndex], layout.left + indent + offset, textY, fontSize, item.color, wordSpacing, layout);
+
+            // List markers hang in the indent to the left of the first line
+            if (lineIndex === 0 && item.marker) {
+                this._renderListMarker(layout.stream, item.marker, layout.left + item.marker.indent, textY, fontSize, item.color);
+            }
+
+            // Update position for next line
+            layout.currentY -= lineHeight;
+        }
+
+        // Apply bottom margin
+        if (item.marginBottom > 0) {
+            layout.currentY -= item.marginBottom;
+        }
+    }
+
+    /**
+     * Lay out the document until the page numbers of the headings listed in
+     * tables of contents stop changing. A first pass finds the pages without
+     * numbers; later passes show the numbers found, which move headings when
+     * the table of contents itself changes length.
+     * @private
+     */
+    _settleTablesOfContents(content, options) {
+        const tables = content.filter(item => item.type === 'toc' && item.entries.length > 0);
+        if (tables.length === 0) return;
+
+        const headings = [...new Set(tables.flatMap(table => table.entries))];
+        const pageNumbers = () => headings.map(heading => heading.pageNumber).join(',');
+
+        // Trial layouts are discarded, so they do not count towards statistics
+        const dropped = { ...this.statistics.elementsDropped };
+        headings.forEach(heading => { heading.pageNumber = undefined; });
+
+        let shown = pageNumbers();
+        for (let pass = 1; pass <= MAX_TOC_PASSES; pass++) {
+            // Each pass records glyphs in its own set, so that glyphs of
+            // discarded trial text are not embedded in the document
+            for (const page of this._layoutPages(content, { ...options, usedGlyphs: new Map() })) {
+                page.stream = null; // Only the headings' page numbers are kept
+            }
+
+            const found = pageNumbers();
+            this._log(`Table of contents layout pass ${pass}: pages ${found}`, 'debug');
+            if (found === shown) break;
+            if (pass === MAX_TOC_PASSES) {
+                this._log('Table of contents page numbers did not settle; some may be off by a page', 'warn');
+            }
+            shown = found;
+        }
+
+        this.statistics.elementsDropped = dropped;
+    }
+
+    /**
+     * Lay out a table of contents: each heading on its own line, indented
+     * by level, with a dot leader running to its right-aligned page number.
+     * Entries for headings with an id link to them.
+     * @private
+     */
+    _layoutTableOfContents(item, layout) {
+        if (item.entries.length === 0) return;
+
+        if (item.title) {
+            this._layoutText({
+                type: 'paragraph',
+                text: item.title,
+                runs: [{ text: item.title, bold: true, italic: false, underline: false, color: null, fontFamily: item.fontFamily, link: null }],
+                fontSize: Math.round(18 * 0.85),
+                color: item.color,
+                indent: item.indent,
+                marginTop: item.marginTop,
+                marginBottom: 12
+            }, layout);
+        } else {
+            layout.currentY -= item.marginTop;
+        }
+
+        const fontSize = Math.max(8, Math.min(24, item.fontSize || 12));
+        const lineHeight = fontSize * layout.lineHeightMultiplier;
+        const font = this._fontFor({ bold: false, italic: false, fontFamily: item.fontFamily });
+        const dotWidth = this._measureText('.', font, fontSize);
+        const gap = dotWidth * 2;
+
+        // Titles wrap clear of the widest page number expected, and leaders
+        // end where that number would start, so their dots line up
+        const right = layout.left + layout.width;
+        const leaderEnd = right - this._measureText('999', font, fontSize) - gap;
+        const topLevel = Math.min(...item.entries.map(heading => heading.level));
+        const segment = (text, link) => ({ text, font, color: null, underline: false, link, width: this._measureText(text, font, fontSize) });
+
+        for (const heading of item.entries) {
+            const link = heading.id ? `#${heading.id}` : null;
+            const runs = this._getRuns(heading).map(run => ({ ...run, text: run.text.replace(/\n/g, ' '), bold: false, underline: false, color: null, link }));
+            const x = layout.left + item.indent + (heading.level - topLevel) * LIST_INDENT;
+            const lines = this._wrapRuns(runs, fontSize, Math.max(1, leaderEnd - gap - x));
+
+            lines.forEach((line, lineIndex) => {
+                if (layout.currentY - lineHeight < layout.bottomY) {
+                    layout.newPage();
+                }
+
+                const textY = layout.currentY - fontSize;
+                this._renderLine(layout.stream, line, x, textY, fontSize, item.color, 0, layout);
+
+                if (lineIndex === lines.length - 1 && heading.pageNumber) {
+                    const dots = Math.floor((leaderEnd - (x + line.width + gap)) / dotWidth);
+                    if (dots > 0) {
+                        const leader = segment('.'.repeat(dots), link);
+                        this._renderLine(layout.stream, { segments: [leader], width: leader.width }, leaderEnd - leader.width, textY, fontSize, item.color, 0, layout);
+                    }
+
+                    const number = segment(String(heading.pageNumber), link);
+                    this._renderLine(layout.stream, { segments: [number], width: number.width }, right - number.width, textY, fontSize, item.color, 0, layout);
+                }
+
+                layout.currentY -= lineHeight;
+            });
+        }
+
+        layout.currentY -= item.marginBottom;
+    }
+
+    /**
+     * Place an image, scaling it down to fit the content width and the
+     * printable page height while keeping its aspect ratio
+     * @private
+     */
+    _layoutImage(item, layout) {
+        const image = item.image;
+        const indent = item.indent || 0;
+        const { width, height } = this._fitImage(item, layout.width - indent, layout.topY - layout.bottomY);
+
+        const marginTop = item.marginTop > 0 ? item.marginTop : 0;
+        if (layout.currentY - marginTop - height < layout.bottomY && !layout.atPageTop()) {
+            layout.newPage();
+        } else {
+            layout.currentY -= marginTop;
+        }
+
+        const x = layout.left + indent;
+        const y = layout.currentY - height;
+
+        layout.stream.push('q');
+        layout.stream.push(`${width.toFixed(2)} 0 0 ${height.toFixed(2)} ${x.toFixed(2)} ${y.toFixed(2)} cm`);
+        layout.stream.push(`/${image.name} Do`);
+        layout.stream.push('Q');
+        layout.images.add(image);
+
+        this._log(`Placed image ${image.name} at x=${x}, y=${y} (${width.toFixed(1)}x${height.toFixed(1)})`, 'debug');
+
+        layout.currentY = y;
+        if (item.marginBottom > 0) {
+            layout.currentY -= item.marginBottom;
+        }
+    }
+
+    /**
+     * Work out the size of an image item: the requested size, deriving a
+     * missing dimension from the aspect ratio, shrunk to fit within
+     * availableWidth and maxHeight
+     * @private
+     */
+    _fitImage(item, availableWidth, maxHeight) {
+        const image = item.image;
+        const aspect = image.height / image.width;
+
+        let width = typeof item.width === 'string'
+            ? availableWidth * parseFloat(item.width) / 100
+            : item.width;
+        let height = item.height;
+        if (width && !height) {
+            height = width * aspect;
+        } else if (height && !width) {
+            width = height / aspect;
+        } else if (!width && !height) {
+            width = image.width;
+            height = image.height;
+        }
+
+        // Shrink to fit, preserving the aspect ratio
+        const scale = Math.min(1, availableWidth / width, maxHeight / height);
+        return { width: width * scale, height: height * scale };
+    }
+
+    /**
+     * Lay out a table: size the columns, wrap each cell, then draw the rows,
+     * repeating the header rows at the top of every page the table spans
+     * @private
+     */
+    _layoutTable(item, layout) {
+        const fontSize = Math.max(8, Math.min(24, item.fontSize || 12));
+        const lineHeight = fontSize * layout.lineHeightMultiplier;
+        const spacing = item.borderCollapse ? 0 : item.cellSpacing;
+
+        const grid = this._buildTableGrid(item.rows);
+        const columnCount = grid.columnCount;
+        if (columnCount === 0) return;
+
+        const indent = item.indent || 0;
+        const columnWidths = this._computeColumnWidths(grid, item, layout.width - indent, fontSize);
+        const tableWidth = columnWidths.reduce((sum, width) => sum + width, 0) + spacing * (columnCount + 1);
+
+        // Column x positions, relative to the table's left edge
+        const columnX = [];
+        let offset = spacing;
+        for (const width of columnWidths) {
+            columnX.push(offset);
+            offset += width + spacing;
+        }
+
+        // Wrap every cell and work out row heights. A cell's lines are its
+        // images, as `{ image, width, height, marginTop, marginBottom }`,
+        // followed by its lines of text.
+        const heightOf = (line) => (line.image ? line.marginTop + line.height + line.marginBottom : lineHeight);
+        const linesHeight = (lines) => lines.reduce((sum, line) => sum + heightOf(line), 0);
+        const rowHeights = grid.rows.map(() => 0);
+        for (const cell of grid.cells) {
+            const width = this._spanWidth(columnWidths, cell.column, cell.colspan, spacing);
+            // Rounded up so that text the column was sized for does not wrap on rounding error
+            const textWidth = Math.max(1, Math.ceil((width - cell.padding.left - cell.padding.right) * 100) / 100);
+            const maxImageHeight = layout.topY - layout.bottomY - cell.padding.top - cell.padding.bottom - spacing * 2;
+            cell.width = width;
+            cell.lines = [
+                ...(cell.images || []).map(image => ({
+                    ...this._fitImage(image, textWidth, Math.max(1, maxImageHeight - image.marginTop - image.marginBottom)),
+                    image: image.image,
+                    marginTop: image.marginTop,
+                    marginBottom: image.marginBottom
+                })),
+                ...this._wrapRuns(cell.runs, fontSize, textWidth)
+            ];
+            cell.contentHeight = (linesHeight(cell.lines) || lineHeight) + cell.padding.top + cell.padding.bottom;
+            if (cell.rowspan === 1) {
+                rowHeights[cell.row] = Math.max(rowHeights[cell.row], cell.contentHeight);
+            }
+        }
+
+        // Rows spanned by a tall cell grow at the bottom to make room for it
+        for (const cell of grid.cells) {
+            if (cell.rowspan === 1) continue;
+            const lastRow = cell.row + cell.rowspan - 1;
+            const available = this._spanHeight(rowHeights, cell.row, cell.rowspan, spacing);
+            if (cell.contentHeight > available) {
+                rowHeights[lastRow] += cell.contentHeight - available;
+            }
+        }
+
+        // Rows joined by rowspans must stay on the same page
+        const groups = [];
+        let groupEnd = -1;
+        for (let row = 0; row < grid.rows.length; row++) {
+            if (row > groupEnd) {
+                groups.push({ start: row, end: row });
+            }
+            const group = groups[groups.length - 1];
+            for (const cell of grid.cellsByRow[row]) {
+                group.end = Math.max(group.end, cell.row + cell.rowspan - 1);
+            }
+            groupEnd = group.end;
+        }
+
+        const headerRowCount = Math.min(item.headerRowCount || 0, grid.rows.length);
+        const headerHeight = headerRowCount > 0
+            ? this._spanHeight(rowHeights, 0, headerRowCount, spacing) + spacing
+            : 0;
+
+        // Apply top margin, dropping it at the top of a page
+        const marginTop = item.marginTop > 0 ? item.marginTop : 0;
+        const firstGroupHeight = groups.length > 0
+            ? this._spanHeight(rowHeights, groups[0].start, groups[0].end - groups[0].start + 1, spacing) + spacing * 2
+            : 0;
+        if (layout.currentY - marginTop - firstGroupHeight < layout.bottomY && !layout.atPageTop()) {
+            layout.newPage();
+        } else {
+            layout.currentY -= marginTop;
+        }
+
+        const tableX = layout.left + indent;
+        let chunkTop = layout.currentY;
+        layout.currentY -= spacing;
+
+        const drawRows = (start, end) => {
+            for (let row = start; row <= end; row++) {
+                for (const cell of grid.cellsByRow[row]) {
+                    const height = this._spanHeight(rowHeights, row, cell.rowspan, spacing);
+                    this._renderTableCell(layout.stream, cell, {
+                        x: tableX + columnX[cell.column],
+                        top: layout.currentY,
+                        height,
+                        fontSize,
+                        lineHeight,
+                        color: item.color
+                    }, layout);
+                }
+                layout.currentY -= rowHeights[row] + spacing;
+            }
+        };
+
+        const closeChunk = () => {
+            if (item.border) {
+                this._strokeRect(layout.stream, tableX, layout.currentY, tableWidth, chunkTop - layout.currentY, item.border);
+            }
+        };
+
+        const continueOnNewPage = (nextHeight) => {
+            closeChunk();
+            layout.newPage();
+            chunkTop = layout.currentY;
+            layout.currentY -= spacing;
+
+            // Repeat the header rows, unless what follows would not fit even then
+            if (headerRowCount > 0 && headerHeight + nextHeight <= layout.topY - layout.bottomY) {
+                drawRows(0, headerRowCount - 1);
+            }
+        };
+
+        // A row taller than a page is drawn in slices, as many of each
+        // cell's lines as fit on each page
+        const drawSplitRow = (row) => {
+            const cells = grid.cellsByRow[row];
+            const drawn = cells.map(() => 0);
+            const sliceHeightOf = (cell, start, count) => linesHeight(cell.lines.slice(start, start + count)) + cell.padding.top + cell.padding.bottom;
+            let freshPage = false;
+
+            while (cells.some((cell, i) => drawn[i] < cell.lines.length)) {
+                const room = layout.currentY - spacing - layout.bottomY;
+                const counts = cells.map((cell, i) => {
+                    let count = 0;
+                    let height = cell.padding.top + cell.padding.bottom;
+                    while (drawn[i] + count < cell.lines.length) {
+                        height += heightOf(cell.lines[drawn[i] + count]);
+                        if (height > room) break;
+                        count++;
+                    }
+                    return count;
+                });
+
+                if (counts.every(count => count === 0)) {
+                    if (freshPage) {
+                        this.statistics.elementsDropped.overflow++;
+                        this._log('Dropping the rest of a table row: a line does not fit on a page', 'warn');
+                        return;
+                    }
+                    continueOnNewPage(Math.max(...cells.map((cell, i) =>
+                        (drawn[i] < cell.lines.length ? heightOf(cell.lines[drawn[i]]) : 0))));
+                    freshPage = true;
+                    continue;
+                }
+
+                const height = Math.max(...cells.map((cell, i) => sliceHeightOf(cell, drawn[i], counts[i])));
+                cells.forEach((cell, i) => {
+                    this._renderTableCell(layout.stream, { ...cell, lines: cell.lines.slice(drawn[i], drawn[i] + counts[i]) }, {
+                        x: tableX + columnX[cell.column],
+                        top: layout.currentY,
+                        height,
+                        fontSize,
+                        lineHeight,
+                        color: item.color
+                    }, layout);
+                    drawn[i] += counts[i];
+                });
+                layout.currentY -= height + spacing;
+                freshPage = false;
+            }
+        };
+
+        groups.forEach((group, index) => {
+            const groupHeight = this._spanHeight(rowHeights, group.start, group.end - group.start + 1, spacing) + spacing;
+            const isHeader = group.end < headerRowCount;
+            const pageRoom = layout.topY - layout.bottomY - spacing - (isHeader ? 0 : headerHeight);
 
-    /**
-     * Generate PDF from HTML with maximum stability
-     */
-    async generatePDFFromHTML(html, options = {}) {
-        try {
-            this._log('Starting HTML to PDF generation - STABLE APPROACH', 'info');
+            if (!isHeader && group.start === group.end && groupHeight > pageRoom) {
+                drawSplitRow(group.start);
+                return;
+            }
 
-            // Default options
-            const pdfOptions = {
-                title: 'Document',
-                pageWidth: 612,
-                pageHeight: 792,
-                margin: { top: 72, right: 72, bottom: 72, left: 72 },
-                ...options
-            };
+            if (index > 0 && !isHeader && layout.currentY - groupHeight < layout.bottomY) {
+                continueOnNewPage(groupHeight);
+            }
 
-            // Extract and clean content
-            const textContent = this._extractTextContent(html);
+            if (groupHeight > pageRoom) {
+                // Rows joined by a rowspan cannot be split: what does not fit
+                // is clipped at the bottom margin and counted as dropped
+                this.statistics.elementsDropped.overflow++;
+                this._log(`Table rows ${group.start + 1}-${group.end + 1} are joined by a rowspan and taller than a page; clipping them`, 'warn');
+                layout.stream.push('q', `${tableX.toFixed(2)} ${layout.bottomY} ${tableWidth.toFixed(2)} ${(layout.currentY - layout.bottomY).toFixed(2)} re W n`);
+                drawRows(group.start, group.end);
+                layout.stream.push('Q');
+                layout.currentY = layout.bottomY;
+                return;
+            }
 
-            // Generate PDF using simple, stable approach
-            const pdfBuffer = this._generateStablePDF(textContent, pdfOptions);
+            drawRows(group.start, group.end);
+        });
 
-            this._log('PDF generated successfully - STABLE VERSION', 'info');
-            return pdfBuffer;
+        closeChunk();
 
-        } catch (error) {
-            this._log(`PDF generation failed: ${error.message}`, 'error');
-            throw error;
+        // Apply bottom margin
+        if (item.marginBottom > 0) {
+            layout.currentY -= item.marginBottom;
         }
     }
 
     /**
-     * Extract text content from HTML with proper structure preservation
+     * Place table cells on a grid, resolving colspan and rowspan
      * @private
      */
-    _extractTextContent(html) {
-        const content = [];
+    _buildTableGrid(rows) {
+        const occupied = [];
+        const cells = [];
+        const cellsByRow = rows.map(() => []);
+        let columnCount = 0;
 
-        // Remove DOCTYPE, html, head, body tags but keep content
-        let cleanHtml = html
-            .replace(/<!DOCTYPE[^>]*>/gi, '')
-            .replace(/<html[^>]*>/gi, '')
-            .replace(/<\/html>/gi, '')
-            .replace(/<head[^>]*>[\s\S]*?<\/head>/gi, '')
-            .replace(/<body[^>]*>/gi, '')
-            .replace(/<\/body>/gi, '');
-
-        // Remove any elements with display:none or visibility:hidden (including divs, spans, etc.)
-        // More precise regex that handles self-closing tags and nested content
-        cleanHtml = cleanHtml.replace(/<(\w+)([^>]*style\s*=\s*["'][^"']*display\s*:\s*none[^"']*["'][^>]*)>[\s\S]*?<\/\1>/gi, '');
-        cleanHtml = cleanHtml.replace(/<(\w+)([^>]*style\s*=\s*["'][^"']*visibility\s*:\s*hidden[^"']*["'][^>]*)>[\s\S]*?<\/\1>/gi, '');
-
-        // Now remove div tags but keep their content
-        cleanHtml = cleanHtml
-            .replace(/<div[^>]*>/gi, '')
-            .replace(/<\/div>/gi, '');
-
-        // Clean up excessive whitespace
-        cleanHtml = cleanHtml.replace(/\n\s*\n/g, '\n').trim();
-
-        this._log(`Processing HTML: ${cleanHtml.substring(0, 200)}...`, 'debug');
-
-        // Updated regex to properly capture hr tags (both self-closing and not)
-        // This regex now captures attributes more reliably including those with spaces
-        const elementRegex = /<(h[1-6]|p)\s*([^>]*)>([\s\S]*?)<\/\1>|<(hr)\s*([^>]*?)\s*\/?>/gis;
-        let match;
+        rows.forEach((row, rowIndex) => {
+            occupied[rowIndex] = occupied[rowIndex] || [];
+            let column = 0;
 
-        while ((match = elementRegex.exec(cleanHtml)) !== null) {
-            const tag = match[1] || match[4]; // h1-h6, p, or hr
-            const attributes = match[2] || match[5] || '';
-            const innerContent = match[3] || '';
+            for (const source of row.cells) {
+                while (occupied[rowIndex][column]) column++;
 
-            this._log(`\n--- Processing Element ---`, 'debug');
-            this._log(`Tag: ${tag}`, 'debug');
-            this._log(`Full Match: "${match[0]}"`, 'debug');
-            this._log(`Attributes: "${attributes}"`, 'debug');
-            this._log(`Inner Content: "${innerContent}"`, 'debug');
+                // Rowspans cannot reach past the last row
+                const rowspan = Math.min(source.rowspan, rows.length - rowIndex);
+                const cell = { ...source, row: rowIndex, column, rowspan };
 
-            // Check for display: none on the element itself
-            if (this._isHidden(attributes)) {
-                this._log(`✗ Skipping hidden element: ${tag}`, 'debug');
-                continue;
+                for (let r = rowIndex; r < rowIndex + rowspan; r++) {
+                    occupied[r] = occupied[r] || [];
+                    for (let c = column; c < column + cell.colspan; c++) {
+                        occupied[r][c] = true;
+                    }
+                }
+
+                cells.push(cell);
+                cellsByRow[rowIndex].push(cell);
+                column += cell.colspan;
+                columnCount = Math.max(columnCount, column);
             }
+        });
 
-            if (tag === 'hr') {
-                const marginTop = this._extractMargin(attributes, 'top');
-                const marginBottom = this._extractMargin(attributes, 'bottom');
+        return { rows, cells, cellsByRow, columnCount };
+    }
 
-                this._log(`HR margins extracted - top: ${marginTop}, bottom: ${marginBottom}`, 'debug');
+    /**
+     * Compute column widths from each column's minimum (longest word) and
+     * preferred (unwrapped) content width, fitting them into the table width
+     * @private
+     */
+    _computeColumnWidths(grid, item, availableWidth, fontSize) {
+        const columnCount = grid.columnCount;
+        const spacing = item.borderCollapse ? 0 : item.cellSpacing;
+        const minWidths = new Array(columnCount).fill(0);
+        const maxWidths = new Array(columnCount).fill(0);
 
-                content.push({
-                    type: 'line',
-                    marginTop: marginTop !== null ? marginTop : 12,
-                    marginBottom: marginBottom !== null ? marginBottom : 12
+        const measure = (cell) => {
+            let min = 0;
+            let max = 0;
+            // The preferred width is that of the longest line between line breaks
+            let line = 0;
+            for (const run of cell.runs) {
+                const font = this._fontFor(run);
+                run.text.split('\n').forEach((text, index) => {
+                    if (index > 0) {
+                        max = Math.max(max, line);
+                        line = 0;
+                    }
+                    line += this._measureText(text, font, fontSize);
+                    for (const word of text.split(' ')) {
+                        min = Math.max(min, this._measureText(word, font, fontSize));
+                    }
                 });
-                this._log(`✓ Added HR with margins - top: ${marginTop !== null ? marginTop : 12}, bottom: ${marginBottom !== null ? marginBottom : 12}`, 'debug');
             }
-            else if (tag.match(/h[1-6]/i)) {
-                const text = this._extractText(innerContent);
-                const fontSize = this._extractFontSize(attributes) || 18;
-                const color = this._extractColor(attributes) || '#2e2e2e';
-                const marginTop = this._extractMargin(attributes, 'top');
-                const marginBottom = this._extractMargin(attributes, 'bottom');
-
-                this._log(`Heading margins - top: ${marginTop}, bottom: ${marginBottom}`, 'debug');
-
-                if (text) {
-                    content.push({
-                        text: text,
-                        type: 'heading',
-                        fontSize: Math.round(fontSize * 0.85),
-                        color: color,
-                        marginTop: marginTop !== null ? marginTop : 18,
-                        marginBottom: marginBottom !== null ? marginBottom : 12
-                    });
-                    this._log(`✓ Added heading with margins - top: ${marginTop !== null ? marginTop : 18}, bottom: ${marginBottom !== null ? marginBottom : 12}`, 'debug');
-                }
+            max = Math.max(max, line);
+            // Images shrink to fit, so they only add to the preferred width
+            for (const image of cell.images || []) {
+                if (typeof image.width === 'string') continue;
+                const width = image.width || (image.height
+                    ? image.height * image.image.width / image.image.height
+                    : image.image.width);
+                max = Math.max(max, width);
             }
-            else if (tag === 'p') {
-                const text = this._extractText(innerContent);
-                const fontSize = this._extractFontSize(attributes) || 16;
-                const color = this._extractColor(attributes) || '#2e2e2e';
-                const marginTop = this._extractMargin(attributes, 'top');
-                const marginBottom = this._extractMargin(attributes, 'bottom');
-
-                this._log(`Paragraph margins - top: ${marginTop}, bottom: ${marginBottom}`, 'debug');
+            const padding = cell.padding.left + cell.padding.right;
+            return { min: min + padding, max: max + padding };
+        };
 
-                if (text) {
-                    content.push({
-                        text: text,
-                        type: 'paragraph',
-                        fontSize: Math.round(fontSize * 0.85),
-                        color: color,
-                        marginTop: marginTop !== null ? marginTop : 0,
-                        marginBottom: marginBottom !== null ? marginBottom : 4
-                    });
-                    this._log(`✓ Added paragraph with margins - top: ${marginTop !== null ? marginTop : 0}, bottom: ${marginBottom !== null ? marginBottom : 4}`, 'debug');
+        // Single-column cells first, then spread spanning cells over their columns
+        const spanning = [];
+        for (const cell of grid.cells) {
+            const size = measure(cell);
+            if (cell.colspan === 1) {
+                minWidths[cell.column] = Math.max(minWidths[cell.column], size.min);
+                maxWidths[cell.column] = Math.max(maxWidths[cell.column], size.max);
+            } else {
+                spanning.push({ cell, size });
+            }
+        }
+        for (const { cell, size } of spanning) {
+            const columns = [];
+            for (let c = cell.column; c < Math.min(columnCount, cell.column + cell.colspan); c++) columns.push(c);
+            const gaps = spacing * (columns.length - 1);
+            for (const [widths, needed] of [[minWidths, size.min], [maxWidths, size.max]]) {
+                const current = columns.reduce((sum, c) => sum + widths[c], 0) + gaps;
+                if (needed > current) {
+                    columns.forEach(c => { widths[c] += (needed - current) / columns.length; });
                 }
             }
         }
 
-        this._log(`Extracted ${content.length} content elements`, 'debug');
+        const gapsWidth = spacing * (columnCount + 1);
+        const totalMin = minWidths.reduce((sum, width) => sum + width, 0);
+        const totalMax = maxWidths.reduce((sum, width) => sum + width, 0);
 
-        if (content.length === 0) {
-            this._log(`WARNING: No content extracted from HTML. Check regex patterns and HTML structure.`, 'warn');
-            this._log(`Clean HTML sample: ${cleanHtml.substring(0, 500)}`, 'debug');
+        // An explicit width sets the table size; otherwise shrink to fit the content
+        const requested = item.width !== null && item.width !== undefined
+            ? (typeof item.width === 'string' ? availableWidth * parseFloat(item.width) / 100 : item.width)
+            : null;
+        const target = Math.min(availableWidth, requested !== null ? requested : totalMax + gapsWidth) - gapsWidth;
+
+        let widths;
+        if (totalMax <= target) {
+            // Everything fits unwrapped; share any extra width in proportion
+            const extra = target - totalMax;
+            widths = maxWidths.map(width => width + (requested !== null ? extra * width / totalMax : 0));
+        } else if (totalMin <= target) {
+            // Wrap columns in proportion to how much they would like to grow
+            const ratio = (target - totalMin) / (totalMax - totalMin);
+            widths = minWidths.map((min, c) => min + (maxWidths[c] - min) * ratio);
+        } else {
+            // Even the longest words do not fit; squeeze and let words break
+            widths = minWidths.map(min => min * target / totalMin);
         }
 
-        return content;
+        this._log(`Table column widths: ${widths.map(width => width.toFixed(1)).join(', ')}`, 'debug');
+        return widths;
+    }
+
+    /**
+     * Width of a cell spanning columns, including the spacing between them
+     * @private
+     */
+    _spanWidth(columnWidths, column, colspan, spacing) {
+        let width = spacing * (colspan - 1);
+        for (let c = column; c < Math.min(columnWidths.length, column + colspan); c++) {
+            width += columnWidths[c];
+        }
+        return width;
     }
 
     /**
-     * Extract text from HTML content, handling nested tags properly
+     * Height of a cell spanning rows, including the spacing between them
      * @private
      */
-    _extractText(htmlContent) {
-        if (!htmlContent || typeof htmlContent !== 'string') return '';
+    _spanHeight(rowHeights, row, rowspan, spacing) {
+        let height = spacing * (rowspan - 1);
+        for (let r = row; r < row + rowspan; r++) {
+            height += rowHeights[r];
+        }
+        return height;
+    }
 
-        this._log(`Extracting text from: "${htmlContent}"`, 'debug');
+    /**
+     * Draw a list marker ending just left of the text start at textX.
+     * Bullets are drawn as shapes so they do not depend on font encoding.
+     * @private
+     */
+    _renderListMarker(stream, marker, textX, baselineY, fontSize, color) {
+        const [r, g, b] = this._hexToRgb(color || '#000000');
 
-        let text = htmlContent;
+        if (marker.text) {
+            const width = this._measureText(marker.text, 'F1', fontSize);
+            stream.push('BT');
+            stream.push(`/F1 ${fontSize} Tf`);
+            stream.push(`${r} ${g} ${b} rg`);
+            stream.push(`${(textX - LIST_MARKER_GAP - width).toFixed(2)} ${baselineY} Td`);
+            stream.push(`(${this._escapePDFString(marker.text)}) Tj`);
+            stream.push('ET');
+            return;
+        }
 
-        // First, remove any elements with display:none or visibility:hidden
-        text = text.replace(/<[^>]+style\s*=\s*["'][^"']*display\s*:\s*none[^"']*["'][^>]*>[\s\S]*?<\/[^>]+>/gi, '');
-        text = text.replace(/<[^>]+style\s*=\s*["'][^"']*visibility\s*:\s*hidden[^"']*["'][^>]*>[\s\S]*?<\/[^>]+>/gi, '');
+        // Center the bullet on the x-height of the text
+        const radius = fontSize * 0.17;
+        const cx = textX - LIST_MARKER_GAP - radius * 2;
+        const cy = baselineY + fontSize * 0.33;
 
-        // Remove any nested HTML tags (like spans, em, strong, etc.)
-        text = text.replace(/<[^>]+>/g, '');
+        stream.push('q');
+        if (marker.shape === 'square') {
+            stream.push(`${r} ${g} ${b} rg`);
+            stream.push(`${(cx - radius).toFixed(2)} ${(cy - radius).toFixed(2)} ${(radius * 2).toFixed(2)} ${(radius * 2).toFixed(2)} re`);
+            stream.push('f');
+        } else {
+            // Approximate the circle with four Bezier curves
+            const k = radius * 0.5523;
+            const p = (value) => value.toFixed(2);
+            stream.push(`${p(cx + radius)} ${p(cy)} m`);
+            stream.push(`${p(cx + radius)} ${p(cy + k)} ${p(cx + k)} ${p(cy + radius)} ${p(cx)} ${p(cy + radius)} c`);
+            stream.push(`${p(cx - k)} ${p(cy + radius)} ${p(cx - radius)} ${p(cy + k)} ${p(cx - radius)} ${p(cy)} c`);
+            stream.push(`${p(cx - radius)} ${p(cy - k)} ${p(cx - k)} ${p(cy - radius)} ${p(cx)} ${p(cy - radius)} c`);
+            stream.push(`${p(cx + k)} ${p(cy - radius)} ${p(cx + radius)} ${p(cy - k)} ${p(cx + radius)} ${p(cy)} c`);
+            if (marker.shape === 'circle') {
+                stream.push(`${r} ${g} ${b} RG`);
+                stream.push(`${(fontSize * 0.06).toFixed(2)} w`);
+                stream.push('S');
+            } else {
+                stream.push(`${r} ${g} ${b} rg`);
+                stream.push('f');
+            }
+        }
+        stream.push('Q');
+    }
 
-        // Clean up whitespace and decode HTML entities
-        text = text
-            .replace(/\s+/g, ' ')
-            .replace(/&nbsp;/g, ' ')
-            .replace(/&amp;/g, '&')
-            .replace(/&lt;/g, '<')
-            .replace(/&gt;/g, '>')
-            .replace(/&quot;/g, '"')
-            .replace(/&#39;/g, "'")
-            .trim();
+    /**
+     * Draw a table cell: background, images and wrapped text, then border
+     * @private
+     */
+    _renderTableCell(stream, cell, box, layout = null) {
+        const bottom = box.top - box.height;
 
-        // Format large numbers with commas - but be more selective
-        // Only format numbers that are clearly monetary amounts or large quantities
-        // Don't format phone numbers (numbers with spaces or that start with country codes)
-        text = text.replace(/\b(\d{5,})\b/g, (match, num, offset, fullString) => {
-            // Check if this might be a phone number
-            const before = fullString.substring(Math.max(0, offset - 20), offset);
-            const after = fullString.substring(offset + match.length, offset + match.length + 10);
+        if (cell.background) {
+            this._fillRect(stream, box.x, bottom, cell.width, box.height, cell.background);
+        }
 
-            // Skip if it looks like a phone number
-            if (before.match(/mobile|phone|tel|contact|fax|cell/i) ||
-                before.includes('91 ') || before.endsWith('91') ||
-                after.startsWith(' ') || before.endsWith(' ') ||
-                (num.length >= 10 && num.length <= 12)) {
-                return match;
+        let lineTop = box.top - cell.padding.top;
+        const textWidth = cell.width - cell.padding.left - cell.padding.right;
+        cell.lines.forEach((line, index) => {
+            if (line.image) {
+                const free = textWidth - line.width;
+                const offset = cell.align === 'center' ? free / 2 : cell.align === 'right' ? free : 0;
+                const x = box.x + cell.padding.left + offset;
+                const y = lineTop - line.marginTop - line.height;
+                stream.push('q');
+                stream.push(`${line.width.toFixed(2)} 0 0 ${line.height.toFixed(2)} ${x.toFixed(2)} ${y.toFixed(2)} cm`);
+                stream.push(`/${line.image.name} Do`);
+                stream.push('Q');
+                if (layout) layout.images.add(line.image);
+                lineTop = y - line.marginBottom;
+                return;
             }
+            const { offset, wordSpacing } = this._alignLine(line, textWidth, cell.align, index === cell.lines.length - 1);
+            this._renderLine(stream, line, box.x + cell.padding.left + offset, lineTop - box.fontSize, box.fontSize, cell.color || box.color, wordSpacing, layout);
+            lineTop -= box.lineHeight;
+        });
 
-            // Skip if it's part of a date (like 1999)
-            if (num.length === 4 && parseInt(num) >= 1900 && parseInt(num) <= 2100) {
-                return match;
-            }
+        if (cell.border) {
+            this._strokeRect(stream, box.x, bottom, cell.width, box.height, cell.border);
+        }
+    }
 
-            // Skip if it's an email/birthdate format (09/09/1999 extracted as 9999)
-            if (num.length === 4 && before.includes('/')) {
-                return match;
-            }
+    /**
+     * Fill a rectangle with a solid color
+     * @private
+     */
+    _fillRect(stream, x, y, width, height, color) {
+        const [r, g, b] = this._hexToRgb(color);
+        stream.push('q');
+        stream.push(`${r} ${g} ${b} rg`);
+        stream.push(`${x.toFixed(2)} ${y.toFixed(2)} ${width.toFixed(2)} ${height.toFixed(2)} re`);
+        stream.push('f');
+        stream.push('Q');
+    }
 
-            // Format the number (likely a monetary amount)
-            const parsed = parseInt(num);
-            return !isNaN(parsed) ? parsed.toLocaleString() : match;
-        });
+    /**
+     * Stroke the outline of a rectangle with a `{ width, color }` border
+     * @private
+     */
+    _strokeRect(stream, x, y, width, height, border) {
+        if (!border || border.width <= 0) return;
 
-        this._log(`Extracted text result: "${text}"`, 'debug');
-        return text;
+        const [r, g, b] = this._hexToRgb(border.color || '#000000');
+        stream.push('q');
+        stream.push(`${r} ${g} ${b} RG`);
+        stream.push(`${border.width} w`);
+        stream.push(`${x.toFixed(2)} ${y.toFixed(2)} ${width.toFixed(2)} ${height.toFixed(2)} re`);
+        stream.push('S');
+        stream.push('Q');
     }
 
     /**
-     * Extract font size from style attribute
+     * Measure the width of a string in points using the glyph metrics of
+     * the font resource
      * @private
      */
-    _extractFontSize(attributeString) {
-        if (!attributeString) return null;
+    _measureText(text, font, fontSize) {
+        const embedded = this._embeddedFont(font);
+        if (embedded) {
+            const { cmap, advanceWidths, unitsPerEm } = embedded.metrics;
+            let units = 0;
+            for (const char of text) {
+                const glyph = cmap.get(char.codePointAt(0)) || 0;
+                units += advanceWidths[Math.min(glyph, advanceWidths.length - 1)];
+            }
+            return units * fontSize / unitsPerEm;
+        }
 
-        const match = attributeString.match(/font-size:\s*(\d+)px/i);
-        const result = match ? parseInt(match[1]) : null;
+        const widths = FONT_WIDTHS[(FONTS[font] || FONTS.F1).replace(/-?Oblique$/, '')];
+        let units = 0;
 
-        this._log(`Extracted font size: ${result}px from "${attributeString}"`, 'debug');
-        return result;
+        for (const char of text) {
+            const code = char.charCodeAt(0);
+            units += (code >= 32 && code <= 126) ? widths[code - 32] : DEFAULT_GLYPH_WIDTH;
+        }
+
+        return units * fontSize / 1000;
     }
 
     /**
-     * Extract color from style attribute
+     * Get the styled runs of a content item, treating plain text as one run
      * @private
      */
-    _extractColor(attributeString) {
-        if (!attributeString) return null;
+    _getRuns(item) {
+        if (item.runs && item.runs.length > 0) {
+            return item.runs;
+        }
+        return [{ text: item.text, bold: item.type === 'heading', italic: false, underline: false, color: null }];
+    }
 
-        // Extract the style attribute value
-        const styleMatch = attributeString.match(/style\s*=\s*["']([^"']+)["']/i);
-        if (!styleMatch) return null;
+    /**
+     * Get the registered font behind a font resource name, once it has
+     * been loaded
+     * @private
+     */
+    _embeddedFont(font) {
+        const entry = this.fonts.get(font);
+        return entry && entry.metrics ? entry : null;
+    }
 
-        let styleValue = styleMatch[1];
-        // Remove backticks if present
-        styleValue = styleValue.replace(/`/g, '');
+    /**
+     * Check that a font resource has a glyph for every character of a
+     * string: WinAnsi for the standard fonts, the cmap for embedded fonts
+     * @private
+     */
+    _fontCovers(font, text) {
+        const embedded = this._embeddedFont(font);
+        if (!embedded) {
+            return this._isWinAnsi(text);
+        }
+        return [...text].every(char => char === '\n' || embedded.metrics.cmap.get(char.codePointAt(0)));
+    }
 
-        const match = styleValue.match(/color:\s*(#[0-9a-f]{6}|#[0-9a-f]{3}|\w+)/i);
-        const result = match ? match[1] : null;
+    /**
+     * Pick the font resource for a run style, preferring a registered face
+     * of its font family and falling back to the family's regular face.
+     * Faces registered since generation started are not loaded yet, so the
+     * standard fonts stand in for them.
+     * @private
+     */
+    _fontFor(style) {
+        const faces = style.fontFamily ? this.fontFamilies.get(style.fontFamily) : null;
+        if (faces) {
+            const preferred = style.bold
+                ? (style.italic ? [faces.boldItalic, faces.bold, faces.italic] : [faces.bold])
+                : (style.italic ? [faces.italic] : []);
+            const loaded = [...preferred, faces.regular, faces.bold, faces.italic, faces.boldItalic]
+                .find(name => name && this._embeddedFont(name));
+            if (loaded) return loaded;
+        }
 
-        this._log(`Extracted color: ${result} from style: "${styleValue}"`, 'debug');
-        return result;
+        if (style.bold) {
+            return style.italic ? 'F4' : 'F2';
+        }
+        return style.italic ? 'F3' : 'F1';
     }
 
     /**
-     * Extract margin value from style attribute
+     * Break styled runs into lines no wider than maxWidth, splitting on
+     * spaces and falling back to character breaks for words that are too
+     * long, and starting a new line at every newline. Each line is
+     * `{ segments: [{ text, font, color, underline, link, width }], width }`,
+     * with `hardBreak` set on lines ended by a newline.
      * @private
      */
-    _extractMargin(attributeString, side) {
-        if (!attributeString) return null;
+    _wrapRuns(runs, fontSize, maxWidth) {
+        // Split runs into words; a word can span several differently styled fragments
+        const words = [];
+        let word = null;
+        let pendingSpace = null;
 
-        // Extract the style attribute value first
-        const styleMatch = attributeString.match(/style\s*=\s*["']([^"']+)["']/i);
-        if (!styleMatch) return null;
+        for (const run of runs) {
+            const font = this._fontFor(run);
+            for (const part of run.text.split(/( +|\n)/)) {
+                if (!part) continue;
 
-        const styleValue = styleMatch[1];
-        this._log(`Extracting margin-${side} from style: "${styleValue}"`, 'debug');
+                if (part === '\n') {
+                    words.push({ lineBreak: true });
+                    pendingSpace = null;
+                    word = null;
+                    continue;
+                }
 
-        // Check for specific margin property
-        const marginPattern = new RegExp(`margin-${side}\\s*:\\s*(\\d+)(?:px)?`, 'i');
-        const match = styleValue.match(marginPattern);
+                if (part[0] === ' ') {
+                    // Consecutive spaces collapse into a single gap
+                    pendingSpace = pendingSpace || { run, font };
+                    word = null;
+                    continue;
+                }
 
-        if (match) {
-            const value = parseInt(match[1]);
-            this._log(`Found margin-${side}: ${value}px`, 'debug');
-            return value;
+                if (!word) {
+                    word = { fragments: [], width: 0, space: words.length > 0 ? pendingSpace : null };
+                    words.push(word);
+                    pendingSpace = null;
+                }
+                const width = this._measureText(part, font, fontSize);
+                word.fragments.push({ text: part, run, font, width });
+                word.width += width;
+            }
         }
 
-        // Check shorthand margin
-        const shorthandMatch = styleValue.match(/margin\s*:\s*(\d+)(?:px)?(?:\s+(\d+)(?:px)?)?(?:\s+(\d+)(?:px)?)?(?:\s+(\d+)(?:px)?)?/i);
-        if (shorthandMatch) {
-            const values = [
-                parseInt(shorthandMatch[1]), // top
-                parseInt(shorthandMatch[2] || shorthandMatch[1]), // right
-                parseInt(shorthandMatch[3] || shorthandMatch[1]), // bottom
-                parseInt(shorthandMatch[4] || shorthandMatch[2] || shorthandMatch[1]) // left
-            ];
+        const lines = [];
+        let line = { words: [], width: 0 };
 
-            const sideIndex = { top: 0, right: 1, bottom: 2, left: 3 };
-            const value = values[sideIndex[side]];
-            this._log(`Found margin-${side} from shorthand: ${value}px`, 'debug');
-            return value;
+        const addWord = (entry) => {
+            const gap = line.words.length > 0 && entry.space
+                ? this._measureText(' ', entry.space.font, fontSize)
+                : 0;
+
+            if (line.words.length > 0 && line.width + gap + entry.width > maxWidth) {
+                lines.push(line);
+                line = { words: [], width: 0 };
+                addWord(entry);
+                return;
+            }
+
+            line.words.push(entry);
+            line.width += gap + entry.width;
+        };
+
+        for (const entry of words) {
+            if (entry.lineBreak) {
+                line.hardBreak = true;
+                lines.push(line);
+                line = { words: [], width: 0 };
+                continue;
+            }
+            if (entry.width <= maxWidth) {
+                addWord(entry);
+                continue;
+            }
+
+            // Hard-break words that cannot fit on a line by themselves
+            for (const piece of this._breakWord(entry, fontSize, maxWidth)) {
+                addWord(piece);
+            }
         }
 
-        this._log(`No margin-${side} found`, 'debug');
-        return null;
+        if (line.words.length > 0) {
+            lines.push(line);
+        }
+
+        const result = lines.map(entry => this._lineToSegments(entry, fontSize));
+        this._log(`Wrapped text into ${result.length} line(s) at width ${maxWidth}`, 'debug');
+        return result;
     }
 
     /**
-     * Check if element should be hidden
+     * Split an over-long word into pieces no wider than maxWidth
      * @private
      */
-    _isHidden(attributeString) {
-        if (!attributeString) return false;
+    _breakWord(word, fontSize, maxWidth) {
+        const pieces = [];
+        let piece = { fragments: [], width: 0, space: word.space };
 
-        // Extract the style attribute value
-        const styleMatch = attributeString.match(/style\s*=\s*["']([^"']+)["']/i);
-        if (!styleMatch) return false;
-
-        const styleValue = styleMatch[1];
+        for (const fragment of word.fragments) {
+            for (const char of fragment.text) {
+                const width = this._measureText(char, fragment.font, fontSize);
+                if (piece.width + width > maxWidth && piece.fragments.length > 0) {
+                    pieces.push(piece);
+                    piece = { fragments: [], width: 0, space: null };
+                }
 
-        // Check for display: none
-        if (styleValue.match(/display\s*:\s*none/i)) {
-            this._log(`Element hidden due to display:none`, 'debug');
-            return true;
+                const last = piece.fragments[piece.fragments.length - 1];
+                if (last && last.run === fragment.run) {
+                    last.text += char;
+                    last.width += width;
+                } else {
+                    piece.fragments.push({ text: char, run: fragment.run, font: fragment.font, width });
+                }
+                piece.width += width;
+            }
         }
 
-        // Check for visibility: hidden
-        if (styleValue.match(/visibility\s*:\s*hidden/i)) {
-            this._log(`Element hidden due to visibility:hidden`, 'debug');
-            return true;
+        if (piece.fragments.length > 0) {
+            pieces.push(piece);
         }
-
-        return false;
+        return pieces;
     }
 
     /**
-     * Generate stable PDF with minimal complexity
+     * Flatten the words of a line into segments, merging neighbours that
+     * share a font, color, underline and link target
      * @private
      */
-    _generateStablePDF(content, options) {
-        // PDF Header
-        const pdfContent = [
-            '%PDF-1.4',
-            ''
-        ];
+    _lineToSegments(line, fontSize) {
+        const segments = [];
 
-        // Object 1: Catalog
-        pdfContent.push('1 0 obj');
-        pdfContent.push('<<');
-        pdfContent.push('/Type /Catalog');
-        pdfContent.push('/Pages 2 0 R');
-        pdfContent.push('>>');
-        pdfContent.push('endobj');
-        pdfContent.push('');
-
-        // Object 2: Pages
-        pdfContent.push('2 0 obj');
-        pdfContent.push('<<');
-        pdfContent.push('/Type /Pages');
-        pdfContent.push('/Kids [3 0 R]');
-        pdfContent.push('/Count 1');
-        pdfContent.push('>>');
-        pdfContent.push('endobj');
-        pdfContent.push('');
-
-        // Generate content stream
-        const contentStream = this._generateContentStream(content, options);
-        const streamLength = Buffer.byteLength(contentStream, 'utf8');
-
-        // Object 3: Page
-        pdfContent.push('3 0 obj');
-        pdfContent.push('<<');
-        pdfContent.push('/Type /Page');
-        pdfContent.push('/Parent 2 0 R');
-        pdfContent.push(`/MediaBox [0 0 ${options.pageWidth} ${options.pageHeight}]`);
-        pdfContent.push('/Resources <<');
-        pdfContent.push('/Font <<');
-        pdfContent.push('/F1 << /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>');
-        pdfContent.push('/F2 << /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold >>');
-        pdfContent.push('>>');
-        pdfContent.push('>>');
-        pdfContent.push('/Contents 4 0 R');
-        pdfContent.push('>>');
-        pdfContent.push('endobj');
-        pdfContent.push('');
-
-        // Object 4: Content Stream
-        pdfContent.push('4 0 obj');
-        pdfContent.push('<<');
-        pdfContent.push(`/Length ${streamLength}`);
-        pdfContent.push('>>');
-        pdfContent.push('stream');
-        pdfContent.push(contentStream);
-        pdfContent.push('endstream');
-        pdfContent.push('endobj');
-        pdfContent.push('');
-
-        // Cross-reference table
-        const xrefPos = Buffer.byteLength(pdfContent.join('\n') + '\n', 'utf8');
-        pdfContent.push('xref');
-        pdfContent.push('0 5');
-        pdfContent.push('0000000000 65535 f ');
-
-        // Calculate object positions
-        let pos = 9; // Start after "%PDF-1.4\n"
-        for (let i = 1; i <= 4; i++) {
-            const objIndex = pdfContent.findIndex(line => line === `${i} 0 obj`);
-            if (objIndex !== -1) {
-                let objPos = 0;
-                for (let j = 0; j < objIndex; j++) {
-                    objPos += Buffer.byteLength(pdfContent[j] + '\n', 'utf8');
-                }
-                pdfContent.push(String(objPos).padStart(10, '0') + ' 00000 n ');
-            }
-        }
-
-        // Trailer
-        pdfContent.push('trailer');
-        pdfContent.push('<<');
-        pdfContent.push('/Size 5');
-        pdfContent.push('/Root 1 0 R');
-        pdfContent.push('>>');
-        pdfContent.push('startxref');
-        pdfContent.push(String(xrefPos));
-        pdfContent.push('%%EOF');
-
-        return Buffer.from(pdfContent.join('\n'), 'utf8');
-    }
-
-    /**
-     * Generate content stream with maximum safety
-     * @private
-     */
-    _generateContentStream(content, options) {
-        const stream = [];
-        let currentY = options.pageHeight - options.margin.top;
-        const x = options.margin.left;
-        const lineHeightMultiplier = 1.5; // Standard line height multiplier
+        const append = (text, run, font, width) => {
+            const last = segments[segments.length - 1];
+            const link = run.link || null;
+            if (last && last.font === font && last.color === run.color && last.underline === !!run.underline && last.link === link) {
+                last.text += text;
+                last.width += width;
+            } else {
+                segments.push({ text, font, color: run.color, underline: !!run.underline, link, width });
+            }
+        };
 
-        this._log(`Starting content stream generation with ${content.length} items`, 'debug');
+        line.words.forEach((word, index) => {
+            if (index > 0 && word.space) {
+                append(' ', word.space.run, word.space.font, this._measureText(' ', word.space.font, fontSize));
+            }
+            for (const fragment of word.fragments) {
+                append(fragment.text, fragment.run, fragment.font, fragment.width);
+            }
+        });
 
-        for (let i = 0; i < content.length; i++) {
-            const item = content[i];
+        return { segments, width: line.width, hardBreak: !!line.hardBreak };
+    }
 
-            try {
-                this._log(`Processing item ${i}: type=${item.type}, text="${item.text || 'N/A'}", currentY=${currentY}`, 'debug');
-
-                if (item.type === 'line') {
-                    // Draw line
-                    currentY -= (item.marginTop || 8);
-                    const lineY = currentY;
-                    const lineX1 = options.margin.left;
-                    const lineX2 = options.pageWidth - options.margin.right;
-
-                    stream.push('q'); // Save state
-                    stream.push('0.7 0.7 0.7 RG'); // Gray color
-                    stream.push('1 w'); // Line width
-                    stream.push(`${lineX1} ${lineY} m`); // Move to start
-                    stream.push(`${lineX2} ${lineY} l`); // Line to end
-                    stream.push('S'); // Stroke
-                    stream.push('Q'); // Restore state
-
-                    currentY -= (item.marginBottom || 8);
-                    continue;
-                }
+    /**
+     * Work out where a line starts within the available width and the extra
+     * space after each space character: lines are shifted for center and
+     * right alignment, and stretched for justify except on the last line
+     * and lines ended by a line break
+     * @private
+     */
+    _alignLine(line, availableWidth, align, isLastLine) {
+        const slack = Math.max(0, availableWidth - line.width);
 
-                // Handle text content
-                if (item.text && item.text.trim()) {
-                    // Apply top margin
-                    if (item.marginTop > 0) {
-                        currentY -= item.marginTop;
-                    }
+        if (align === 'center' || align === 'right') {
+            const offset = align === 'center' ? slack / 2 : slack;
+            return { offset: Math.round(offset * 100) / 100, wordSpacing: 0 };
+        }
+
+        if (align === 'justify' && !isLastLine && !line.hardBreak) {
+            const spaces = line.segments.reduce((count, segment) => count + segment.text.split(' ').length - 1, 0);
+            if (spaces > 0) {
+                return { offset: 0, wordSpacing: Math.round(slack / spaces * 1000) / 1000 };
+            }
+        }
 
-                    // Calculate line height
-                    const fontSize = Math.max(8, Math.min(24, item.fontSize || 12));
-                    const lineHeight = fontSize * lineHeightMultiplier;
+        return { offset: 0, wordSpacing: 0 };
+    }
 
-                    // Check if we need to go to next page
-                    if (currentY - lineHeight < options.margin.bottom) {
-                        // Would go off page, so clamp to bottom margin
-                        this._log(`Text would go off page, stopping at bottom margin`, 'warn');
-                        break;
-                    }
+    /**
+     * Emit one line of styled segments starting at (x, y), switching fonts
+     * and colors between Tj operators and drawing underlines afterwards.
+     * wordSpacing is extra space added after every space, for justified text.
+     * With a layout, the areas of linked segments are added to its links as
+     * `{ href, rect }` and the glyphs of embedded fonts to its usedGlyphs.
+     * @private
+     */
+    _renderLine(stream, line, x, y, fontSize, defaultColor, wordSpacing = 0, layout = null) {
+        const usedGlyphs = layout ? layout.usedGlyphs : null;
+        let currentFont = null;
+        let currentColor = null;
+        let currentWordSpacing = 0;
 
-                    // Begin text object for each text item
-                    stream.push('BT');
+        // Begin text object for the line
+        stream.push('BT');
+        stream.push(`${Math.round(x * 100) / 100} ${y} Td`);
 
-                    // Set font
-                    const font = item.type === 'heading' ? 'F2' : 'F1'; // Bold for headings
-                    stream.push(`/${font} ${fontSize} Tf`);
+        for (const segment of line.segments) {
+            // A face re-registered during generation has no resource yet
+            const font = FONTS[segment.font] || this._embeddedFont(segment.font) ? segment.font : 'F1';
+            if (font !== currentFont) {
+                stream.push(`/${font} ${fontSize} Tf`);
+                currentFont = font;
+            }
 
-                    // Set color
-                    const [r, g, b] = this._hexToRgb(item.color || '#000000');
-                    stream.push(`${r} ${g} ${b} rg`);
+            const color = segment.color || defaultColor || '#000000';
+            if (color !== currentColor) {
+                const [r, g, b] = this._hexToRgb(color);
+                stream.push(`${r} ${g} ${b} rg`);
+                currentColor = color;
+            }
 
-                    // Position text - always use absolute positioning
-                    // In PDF, Y coordinate is the baseline of text, so we need to adjust
-                    const textY = currentY - fontSize;
-                    stream.push(`${x} ${textY} Td`);
+            // Tw only applies to single-byte spaces, so it is switched off for
+            // embedded fonts, which get explicit gaps after each space instead
+            const embedded = Boolean(this._embeddedFont(segment.font));
+            const segmentWordSpacing = embedded ? 0 : wordSpacing;
+            if (segmentWordSpacing !== currentWordSpacing) {
+                stream.push(`${segmentWordSpacing} Tw`);
+                currentWordSpacing = segmentWordSpacing;
+            }
 
-                    // Escape and add text
-                    const safeText = this._escapePDFString(item.text);
-                    stream.push(`(${safeText}) Tj`);
+            if (wordSpacing && embedded) {
+                const adjustment = -Math.round(wordSpacing * 1000 / fontSize * 100) / 100;
+                const parts = segment.text.split(/(?<= )/).map(part => this._encodeText(part, segment.font, usedGlyphs));
+                stream.push(`[${parts.join(` ${adjustment} `)}] TJ`);
+            } else {
+                stream.push(`${this._encodeText(segment.text, segment.font, usedGlyphs)} Tj`);
+            }
+        }
 
-                    // End text object
-                    stream.push('ET');
+        // Word spacing is part of the text state, which outlives the text object
+        if (currentWordSpacing) {
+            stream.push('0 Tw');
+        }
 
-                    this._log(`Added text: "${safeText}" at position x=${x}, y=${textY}`, 'debug');
+        // End text object
+        stream.push('ET');
 
-                    // Update position for next element
-                    currentY -= lineHeight;
+        // Underlines sit just below the baseline, scaled to the font size
+        let cursor = x;
+        for (const segment of line.segments) {
+            const width = segment.width + wordSpacing * (segment.text.split(' ').length - 1);
+            if (segment.underline) {
+                const [r, g, b] = this._hexToRgb(segment.color || defaultColor || '#000000');
+                const underlineY = (y - fontSize * 0.1).toFixed(2);
+                stream.push('q');
+                stream.push(`${r} ${g} ${b} RG`);
+                stream.push(`${(fontSize * 0.05).toFixed(2)} w`);
+                stream.push(`${cursor.toFixed(2)} ${underlineY} m`);
+                stream.push(`${(cursor + width).toFixed(2)} ${underlineY} l`);
+                stream.push('S');
+                stream.push('Q');
+            }
 
-                    // Apply bottom margin
-                    if (item.marginBottom > 0) {
-                        currentY -= item.marginBottom;
-                    }
+            // Neighbouring segments with the same target share one link area
+            if (segment.link && layout) {
+                const links = layout.links;
+                const rect = [cursor, y - fontSize * 0.25, cursor + width, y + fontSize * 0.9];
+                const previous = links[links.length - 1];
+                if (previous && previous.href === segment.link && previous.rect[1] === rect[1] && previous.rect[2] === cursor) {
+                    previous.rect[2] = rect[2];
                 } else {
-                    this._log(`Skipping item with no text: type=${item.type}`, 'debug');
+                    links.push({ href: segment.link, rect });
                 }
-
-            } catch (error) {
-                this._log(`Error rendering item ${i}: ${error.message}`, 'warn');
             }
+            cursor += width;
         }
 
-        const result = stream.join('\n');
-        this._log(`Generated content stream: ${result.substring(0, 200)}...`, 'debug');
-        return result;
+        this._log(`Added line: "${line.segments.map(segment => segment.text).join('')}" at position x=${x}, y=${y}`, 'debug');
+    }
+
+    /**
+     * Escape text for insertion into HTML
+     * @private
+     */
+    _escapeHTML(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
     }
 
     /**
@@ -563,12 +5928,8 @@ class EnhancedPDFGenerator {
      * @private
      */
     _hexToRgb(hex) {
-        // Handle short hex colors
-        if (hex.length === 4) {
-            hex = '#' + hex[1] + hex[1] + hex[2] + hex[2] + hex[3] + hex[3];
-        }
-
-        const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
+        // Accept any CSS color, e.g. from bgcolor or <font color> attributes
+        const result = /^#([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(this._parseColor(hex) || '');
         if (!result) return ['0.000', '0.000', '0.000'];
 
         const r = (parseInt(result[1], 16) / 255).toFixed(3);
@@ -579,29 +5940,92 @@ class EnhancedPDFGenerator {
     }
 
     /**
-     * Escape string for PDF content
+     * Encode text as a string operand for a font resource: glyph ids in hex
+     * for embedded fonts, a WinAnsi literal string for the standard fonts.
+     * Glyphs of embedded fonts are recorded in usedGlyphs, a map from font
+     * entry to the glyphs the document uses.
+     * @private
+     */
+    _encodeText(text, font, usedGlyphs = null) {
+        const embedded = this._embeddedFont(font);
+        if (!embedded) {
+            return `(${this._escapePDFString(text)})`;
+        }
+
+        let glyphs = null;
+        if (usedGlyphs) {
+            if (!usedGlyphs.has(embedded)) usedGlyphs.set(embedded, new Map());
+            glyphs = usedGlyphs.get(embedded);
+        }
+
+        let hex = '';
+        for (const char of text) {
+            const glyph = embedded.metrics.cmap.get(char.codePointAt(0)) || 0;
+            if (glyph && glyphs && !glyphs.has(glyph)) {
+                glyphs.set(glyph, char);
+            }
+            hex += glyph.toString(16).padStart(4, '0');
+        }
+        return `<${hex}>`;
+    }
+
+    /**
+     * Check that every character of a string has a WinAnsi code, so that
+     * the standard fonts can show it
+     * @private
+     */
+    _isWinAnsi(str) {
+        return [...str].every((char) => {
+            const code = char.codePointAt(0);
+            return (code >= 0x20 && code <= 0x7E) || (code >= 0xA0 && code <= 0xFF) || WIN_ANSI_CODES[code] !== undefined;
+        });
+    }
+
+    /**
+     * Escape string for PDF content, encoding characters outside ASCII as
+     * WinAnsi octal escapes and replacing those WinAnsi lacks with '?'
      * @private
      */
     _escapePDFString(str) {
         if (!str) return '';
-        return str
+        const escaped = str
             .replace(/\\/g, '\\\\')
             .replace(/\(/g, '\\(')
             .replace(/\)/g, '\\)')
             .replace(/\r/g, ' ')
             .replace(/\n/g, ' ')
             .replace(/\t/g, ' ');
+
+        return escaped.replace(/[^\x20-\x7E]/gu, (char) => {
+            const code = char.codePointAt(0);
+            const byte = (code >= 0xA0 && code <= 0xFF) ? code : WIN_ANSI_CODES[code];
+            return byte ? '\\' + byte.toString(8).padStart(3, '0') : '?';
+        });
     }
 
     /**
-     * Save PDF to file
+     * Save PDF to file, from a Buffer or by piping a readable stream such
+     * as the one returned by generatePDFStream
      */
-    async savePDF(pdfBuffer, filePath) {
+    async savePDF(pdf, filePath) {
         try {
-            await fs.writeFile(filePath, pdfBuffer);
+            if (pdf instanceof Readable) {
+                await pipeline(pdf, createWriteStream(filePath));
+            } else {
+                await fs.writeFile(filePath, pdf);
+            }
             this._log(`PDF saved to: ${filePath}`, 'info');
         } catch (error) {
             this._log(`Failed to save PDF: ${error.message}`, 'error');
+
+            // A stream that fails partway leaves a truncated file behind
+            if (pdf instanceof Readable) {
+                await fs.unlink(filePath).catch(unlinkError => {
+                    if (unlinkError.code !== 'ENOENT') {
+                        this._log(`Could not remove ${filePath}: ${unlinkError.message}`, 'warn');
+                    }
+                });
+            }
             throw error;
         }
     }
@@ -616,10 +6040,108 @@ class EnhancedPDFGenerator {
         return {
             size: sizeInBytes,
             sizeFormatted: `${sizeInKB} KB`,
-            isValid: pdfBuffer.toString('utf8', 0, 8) === '%PDF-1.4'
+            isValid: /^%PDF-1\.[4-7]$/.test(pdfBuffer.toString('utf8', 0, 8))
+        };
+    }
+
+    /**
+     * Get generation statistics for this generator instance
+     */
+    getStatistics() {
+        const stats = this.statistics;
+        const sortedTimes = [...stats.generationTimes].sort((a, b) => a - b);
+        const p95Index = Math.max(0, Math.ceil(sortedTimes.length * 0.95) - 1);
+        const round = (value) => Math.round(value * 100) / 100;
+
+        return {
+            documentsGenerated: stats.documentsGenerated,
+            pagesGenerated: stats.pagesGenerated,
+            totalBytes: stats.totalBytes,
+            totalProcessingTime: round(stats.totalProcessingTime),
+            averageGenerationTime: stats.documentsGenerated > 0
+                ? round(stats.totalProcessingTime / stats.documentsGenerated)
+                : 0,
+            p95GenerationTime: sortedTimes.length > 0 ? round(sortedTimes[p95Index]) : 0,
+            failures: {
+                total: stats.failures.total,
+                byType: { ...stats.failures.byType }
+            },
+            elementsDropped: { ...stats.elementsDropped },
+            fontFallbacks: stats.fontFallbacks,
+            memoryUsage: process.memoryUsage(),
+            since: stats.since
+        };
+    }
+
+    /**
+     * Reset all generation statistics to zero
+     */
+    resetStatistics() {
+        this.statistics = this._createStatistics();
+        this._log('Statistics reset', 'debug');
+    }
+
+    /**
+     * Create an empty statistics record
+     * @private
+     */
+    _createStatistics() {
+        return {
+            documentsGenerated: 0,
+            pagesGenerated: 0,
+            totalBytes: 0,
+            totalProcessingTime: 0,
+            // Most recent generation times, used for the p95 figure
+            generationTimes: [],
+            failures: { total: 0, byType: {} },
+            elementsDropped: { hidden: 0, overflow: 0, invalid: 0 },
+            // Characters drawn with a standard font for lack of a glyph
+            fontFallbacks: 0,
+            since: new Date().toISOString()
         };
     }
 
+    /**
+     * Record a successfully generated document
+     * @private
+     */
+    _recordSuccess(byteCount, startTime) {
+        const elapsed = performance.now() - startTime;
+        const stats = this.statistics;
+
+        stats.documentsGenerated++;
+        stats.totalBytes += byteCount;
+        stats.totalProcessingTime += elapsed;
+        stats.generationTimes.push(elapsed);
+
+        // Keep memory bounded for long-running services
+        if (stats.generationTimes.length > STATISTICS_SAMPLE_SIZE) {
+            stats.generationTimes.shift();
+        }
+    }
+
+    /**
+     * Create an error carrying one of ERROR_CODES as `code`
+     * @private
+     */
+    _error(code, message) {
+        const error = new Error(message);
+        error.code = code;
+        return error;
+    }
+
+    /**
+     * Record a failed generation, grouped by its error code
+     * @private
+     */
+    _recordFailure(error) {
+        const type = error && ERROR_CODES.includes(error.code) ? error.code : 'UNKNOWN';
+        const failures = this.statistics.failures;
+
+        failures.total++;
+        failures.byType[type] = (failures.byType[type] || 0) + 1;
+    }
+
     /**
      * Internal logging
      * @private
@@ -144,6 +144,7 @@ class ProductionTestRunner {
             await this.validateEnvironment();
             await this.testBasicFunctionality();
             await this.testAdvancedFeatures();
+            await this.testDocumentFeatures();
             await this.testErrorHandling();
             await this.testEdgeCases();
             if (TEST_CONFIG.runPerformanceTests) await this.testPerformance();
@@ -274,6 +275,89 @@ class ProductionTestRunner {
         }
     }
 
+    async testDocumentFeatures() {
+        console.log('📚 Testing Document Features...');
+        const generator = new EnhancedPDFGenerator({ debug: TEST_CONFIG.enableDebug, numberFormat: 'en-IN' });
+
+        try {
+            // Table of contents, bookmarks, links, tables and number formatting in one statement
+            const statementHtml = `<!DOCTYPE html>
+<html>
+<head>
+    <title>Account Statement</title>
+    <style>
+        h1 { color: #1a3c6e; }
+        td.amount { text-align: right; }
+    </style>
+</head>
+<body>
+    <h1>Account Statement</h1>
+    <toc depth="2" title="Contents"></toc>
+    ${Array(8).fill(null).map((_, i) => `
+    <h1 id="month-${i + 1}">Month ${i + 1}</h1>
+    <p>Opening balance: <span class="amount">${(i + 1) * 125000}</span><br>Account: <span class="no-format">001234567890</span></p>
+    <h2>Transactions</h2>
+    <table border="1" data-currency="INR">
+        <tr><th>Date</th><th>Description</th><th>Amount</th></tr>
+        <tr><td rowspan="2">0${(i % 9) + 1}/01</td><td>Salary credit</td><td class="amount">${250000 + i}</td></tr>
+        <tr><td>Rent</td><td class="amount">${45000 + i}</td></tr>
+    </table>
+    <p>See <a href="#month-1">the first month</a> or <a href="https://example.com/help">online help</a>.</p>`).join('')}
+</body>
+</html>`;
+            const statementPDF = await generator.generatePDFFromHTML(statementHtml, {
+                bookmarks: true,
+                footer: '<p style="font-size: 9px; text-align: center;">Page {{page}} of {{pages}}</p>'
+            });
+            await generator.savePDF(statementPDF, path.join(TEST_CONFIG.outputDirectory, 'test-statement.pdf'));
+            const statementInfo = generator.getPDFInfo(statementPDF);
+            if (!statementInfo.isValid) throw new Error('Generated statement PDF is invalid');
+            this.addTestResult('Contents, Bookmarks and Links', 'PASS', `Generated ${statementInfo.sizeFormatted} PDF`);
+            console.log(`   ✅ Statement with contents, bookmarks and links: ${statementInfo.sizeFormatted}`);
+
+            // Templates with partials and helpers
+            generator.registerPartial('line', '<tr><td>{{description}}</td><td class="amount">{{amount}}</td></tr>');
+            const invoicePDF = await generator.generatePDFFromTemplate(`
+                <h1>Invoice {{number}} for {{uppercase customer}}</h1>
+                <p>Issued {{date issued}}</p>
+                <table data-currency="INR">{{#each lines}}{{> line}}{{/each}}</table>
+                {{#if paid}}<p>Paid, thank you.</p>{{else}}<p>Due within 30 days.</p>{{/if}}`, {
+                number: 'INV-0042',
+                customer: 'Acme <Traders>',
+                issued: new Date(),
+                lines: [{ description: 'Consulting', amount: 150000 }, { description: 'Support', amount: 25000 }],
+                paid: false
+            });
+            await generator.savePDF(invoicePDF, path.join(TEST_CONFIG.outputDirectory, 'test-template.pdf'));
+            this.addTestResult('Templates', 'PASS', `Generated ${generator.getPDFInfo(invoicePDF).sizeFormatted} PDF`);
+            console.log('   ✅ Template with partials and helpers tested');
+
+            // Streamed output with object streams, saved as it is produced
+            const streamPath = path.join(TEST_CONFIG.outputDirectory, 'test-streamed.pdf');
+            await generator.savePDF(generator.generatePDFStream(TEST_CONFIG.testSamples.longContentHtml, {
+                objectStreams: true,
+                tableOfContents: true
+            }), streamPath);
+            const streamedInfo = generator.getPDFInfo(await fs.promises.readFile(streamPath));
+            if (!streamedInfo.isValid) throw new Error('Streamed PDF is invalid');
+            this.addTestResult('Streamed Output', 'PASS', `Saved ${streamedInfo.sizeFormatted} PDF`);
+            console.log(`   ✅ Streamed PDF with object streams: ${streamedInfo.sizeFormatted}`);
+
+            // Several documents at once on one generator
+            const concurrent = await Promise.all([1, 2, 3].map(n => generator.generatePDFFromHTML(
+                TEST_CONFIG.testSamples.simpleHtml, { title: `Concurrent ${n}`, bookmarks: true })));
+            if (!concurrent.every(pdf => generator.getPDFInfo(pdf).isValid)) throw new Error('Concurrent PDF is invalid');
+            this.addTestResult('Concurrent Generation', 'PASS', `${concurrent.length} documents generated in parallel`);
+            console.log(`   ✅ Concurrent generation: ${concurrent.length} documents`);
+
+            console.log('✅ Document features tests passed\n');
+        } catch (error) {
+            this.addTestResult('Document Features', 'FAIL', error.message);
+            console.error(`   ❌ Document Features FAILED: ${error.message}`, TEST_CONFIG.enableDebug ? error.stack : '');
+            throw error;
+        }
+    }
+
     async testErrorHandling() {
         console.log('🛡️ Testing Error Handling...');
         const generator = new EnhancedPDFGenerator({ debug: TEST_CONFIG.enableDebug });